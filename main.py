@@ -1,8 +1,13 @@
 from flask import Flask, render_template, request, jsonify
-from flask_socketio import SocketIO, emit, join_room, leave_room
+from flask_socketio import SocketIO, emit, join_room, leave_room, disconnect
 import time
 import json
 import logging
+import os
+import hmac
+import hashlib
+import base64
+import secrets
 
 # Initialize Flask app
 app = Flask(__name__)
@@ -13,6 +18,23 @@ socketio = SocketIO(app, cors_allowed_origins="*", logger=True, engineio_logger=
 network_stats = {}
 active_rooms = {}
 
+# ICE server configuration, read from the environment so the app also runs on
+# an isolated network. TURN uses short-lived credentials in the coturn
+# "use-auth-secret" scheme; to try it against a local coturn:
+#   turnserver --use-auth-secret --static-auth-secret=devsecret --realm=simpleconfer
+#   TURN_URLS=turn:localhost:3478 TURN_SECRET=devsecret ICE_TRANSPORT_POLICY=relay python main.py
+def env_list(name, default=''):
+    """Read a comma separated list from the environment"""
+    return [item.strip() for item in os.environ.get(name, default).split(',') if item.strip()]
+
+ICE_STUN_URLS = env_list('ICE_STUN_URLS', 'stun:stun.l.google.com:19302,'
+                                          'stun:stun1.l.google.com:19302,'
+                                          'stun:stun2.l.google.com:19302')
+TURN_URLS = env_list('TURN_URLS')
+TURN_SECRET = os.environ.get('TURN_SECRET', '')
+TURN_TTL = int(os.environ.get('TURN_TTL', 3600))  # seconds
+ICE_TRANSPORT_POLICY = os.environ.get('ICE_TRANSPORT_POLICY', 'all')  # 'all' or 'relay'
+
 @app.route('/')
 def index():
     """Main page route"""
@@ -23,88 +45,574 @@ def health():
     """Health check endpoint"""
     return jsonify({'status': 'healthy', 'timestamp': time.time()})
 
+def turn_credentials(user):
+    """Create TURN credentials that expire after TURN_TTL seconds"""
+    expires = int(time.time()) + TURN_TTL
+    username = f"{expires}:{user}"
+    digest = hmac.new(TURN_SECRET.encode(), username.encode(), hashlib.sha1).digest()
+    return username, base64.b64encode(digest).decode()
+
 # WebRTC Signaling Handlers
+@socketio.on('ice_servers')
+def handle_ice_servers(data=None):
+    """ICE servers for a new call. STUN is public anyway; TURN credentials are
+    only issued to a participant admitted to a room - not to a bare socket or
+    someone still in a lobby - and are labelled with who they went to."""
+    servers = []
+    if ICE_STUN_URLS:
+        servers.append({'urls': ICE_STUN_URLS})
+    
+    sid = client_id()
+    admitted = any(find_participant(room, sid) for room in active_rooms)
+    if TURN_URLS and TURN_SECRET and admitted:
+        username, credential = turn_credentials(sid)
+        servers.append({
+            'urls': TURN_URLS,
+            'username': username,
+            'credential': credential
+        })
+    
+    # Returned as the event's acknowledgement
+    return {
+        'iceServers': servers,
+        'iceTransportPolicy': ICE_TRANSPORT_POLICY,
+        'ttl': TURN_TTL
+    }
+
+# Reconnection
+# A client keeps the same participant id across sockets. It sends a secret token
+# when connecting, and the first socket's sid becomes its id for as long as the
+# token is in use. Each socket joins a Socket.IO room named after that id, so
+# emitting to room=<participant id> reaches whichever socket is current.
+# A token alone resumes only a participant that dropped out of a room; one that
+# is still in use elsewhere (a duplicated tab copies it) gets a new participant
+# and token. The page itself also holds a resume key, which a copy doesn't, so
+# it takes its id back straight away - say after a Wi-Fi handoff, before the
+# server has noticed the old socket is gone - and that socket is dropped.
+RECONNECT_GRACE_SECONDS = 30  # how long a dropped participant is kept for
+CLIENT_TOKEN_MAX = 64
+
+client_ids = {}  # client token -> participant id
+participant_sockets = {}  # participant id -> current socket id
+socket_participants = {}  # socket id -> participant id
+reconnect_deadlines = {}  # participant id -> when a dropped participant is given up on
+resume_keys = {}  # participant id -> key its current page proves a reconnect with
+
+def client_id():
+    """The participant id of whoever sent the current event"""
+    return socket_participants.get(request.sid, request.sid)
+
+def socket_of(sid):
+    """The socket a participant is currently connected on"""
+    return participant_sockets.get(sid, sid)
+
 @socketio.on('connect')
-def handle_connect():
-    """Handle client connection"""
-    print(f"Client connected: {request.sid}")
-    emit('connected', {'status': 'Connected to signaling server'})
+def handle_connect(auth=None):
+    """Handle client connection, picking up where a dropped socket left off"""
+    token = str((auth or {}).get('clientId') or '')[:CLIENT_TOKEN_MAX]
+    resume_key = str((auth or {}).get('resumeKey') or '')
+    owner = client_ids.get(token)
+    proven = bool(resume_key) and owner in resume_keys and hmac.compare_digest(
+        resume_key.encode(), resume_keys[owner].encode())
+    resumed = owner is not None and (proven or is_reconnecting(owner))
+    new_token = None
+    if owner is not None and not resumed:
+        new_token = secrets.token_urlsafe(32)
+        # A copy of a removed participant's tab is just as removed
+        for room_info in active_rooms.values():
+            if token in room_info['removed']:
+                room_info['removed'].add(new_token)
+        token = new_token
+    sid = client_ids[token] if resumed else request.sid
+    if token:
+        client_ids[token] = sid
+    
+    stale = participant_sockets.get(sid)
+    participant_sockets[sid] = request.sid
+    socket_participants[request.sid] = sid
+    resume_keys[sid] = secrets.token_urlsafe(32)
+    join_room(sid)
+    
+    # Unmapped first, so its disconnect finds it already replaced
+    if resumed and socket_participants.pop(stale, None):
+        disconnect(sid=stale, namespace='/')
+    
+    print(f"Client {'reconnected' if resumed else 'connected'}: {request.sid} as {sid}")
+    emit('connected', {
+        'status': 'Connected to signaling server',
+        'sid': sid,
+        'resumed': resumed,
+        'client_id': new_token,  # the token to reconnect with from now on, if it changed
+        'resume_key': resume_keys[sid]
+    })
 
 @socketio.on('disconnect')
 def handle_disconnect():
     """Handle client disconnection"""
     print(f"Client disconnected: {request.sid}")
+    sid = socket_participants.pop(request.sid, request.sid)
+    
+    # Already replaced by a newer socket
+    if participant_sockets.get(sid) != request.sid:
+        return
+    
+    # Socket.IO already dropped the socket from its rooms; keep it in ours for
+    # a while in case it comes back
+    rooms = [room for room in active_rooms if find_participant(room, sid)]
+    for room in list(active_rooms):
+        remove_from_lobby(room, sid)
+    for room in rooms:
+        participant = find_participant(room, sid)
+        participant['reconnecting'] = True
+        socketio.emit('participant_updated', {
+            'sid': sid,
+            'changes': {'reconnecting': True}
+        }, room=room)
+    
+    if rooms:
+        reconnect_deadlines[sid] = time.time() + RECONNECT_GRACE_SECONDS
+        socketio.start_background_task(expire_participant, sid)
+    else:
+        forget_client(sid)
+
+def is_reconnecting(sid):
+    """Whether a participant dropped out of a room and hasn't rejoined yet"""
+    return any((find_participant(room, sid) or {}).get('reconnecting') for room in active_rooms)
+
+def expire_participant(sid):
+    """Drop a disconnected participant unless they rejoined in time. Being
+    connected isn't enough: a reloaded page takes over the id but is only back
+    in the call once it rejoins."""
+    socketio.sleep(RECONNECT_GRACE_SECONDS)
+    # A later drop restarted the clock and has its own expiry coming
+    if time.time() < reconnect_deadlines.get(sid, 0) or not is_reconnecting(sid):
+        return
+    
+    print(f"Participant {sid} did not reconnect")
+    reconnect_deadlines.pop(sid, None)
+    for room in list(active_rooms):
+        remove_participant(room, sid)
+    
+    # A page still connected under this id keeps it, outside any room
+    if participant_sockets.get(sid) not in socket_participants:
+        forget_client(sid)
+
+def client_tokens(sid):
+    """The tokens a participant reconnects with"""
+    return [token for token, owner in client_ids.items() if owner == sid]
+
+def forget_client(sid):
+    """Drop everything kept about a participant once they are gone for good"""
+    participant_sockets.pop(sid, None)
+    reconnect_deadlines.pop(sid, None)
+    resume_keys.pop(sid, None)
+    for token in client_tokens(sid):
+        del client_ids[token]
+    transcript_sequences.pop(sid, None)
+
+# Presence fields each participant broadcasts about itself
+# low_data is False or the tier name; receive_video False asks peers to stop sending video;
+# e2ee says whether they encrypt media end to end (the passphrase never reaches us)
+PARTICIPANT_STATE_KEYS = ('audio_muted', 'video_stopped', 'low_data', 'receive_video', 'quality', 'speaking', 'e2ee')
+
+def find_participant(room, sid):
+    """Find a participant of a room by socket id"""
+    if room not in active_rooms:
+        return None
+    return next((p for p in active_rooms[room]['participants'] if p['sid'] == sid), None)
+
+def remove_participant(room, sid):
+    """Drop a participant from a room and tell the others who left. Also runs
+    when a dropped participant's grace period ends, outside any request."""
+    participant = find_participant(room, sid)
+    if not participant:
+        return
+    
+    room_info = active_rooms[room]
+    participants = room_info['participants']
+    participants.remove(participant)
+    
+    socketio.emit('user_left', {
+        'room': room,
+        'sid': sid,
+        'username': participant['username'],
+        'participants': len(participants)
+    }, room=room)
+    
+    print(f"User {participant['username']} left room {room}")
+    
+    if not participants:
+        # Nobody is left to let the lobby in
+        for waiting in room_info['lobby']:
+            socketio.emit('join_rejected', {'room': room, 'reason': 'closed'}, room=waiting['sid'])
+        del active_rooms[room]
+        # The next meeting under this name starts with an empty chat and transcript
+        chat_history.pop(room, None)
+        meeting_transcripts.pop(room, None)
+        meeting_started_at.pop(room, None)
+    elif room_info['host'] == sid:
+        # The longest-standing participant takes over as host
+        set_host(room, participants[0])
+
+# Room Access Control
+ROOM_NAME_MAX = 64
+USERNAME_MAX = 40
+PASSWORD_ITERATIONS = 100000
+
+def hash_password(password, salt):
+    """Slow salted hash, so a leaked room table doesn't give away passwords"""
+    return hashlib.pbkdf2_hmac('sha256', password.encode(), salt, PASSWORD_ITERATIONS)
+
+def check_password(room, password):
+    """Whether a password opens a room; rooms without one open for anyone"""
+    stored = active_rooms[room]['password']
+    if not stored:
+        return True
+    salt, expected = stored
+    return hmac.compare_digest(hash_password(password or '', salt), expected)
+
+def room_settings(room):
+    """What every participant needs to know about how the room is run"""
+    room_info = active_rooms[room]
+    return {
+        'room': room,
+        'host': room_info['host'],
+        'locked': room_info['locked'],
+        'lobby': room_info['lobby_enabled'],
+        'has_password': room_info['password'] is not None
+    }
+
+def set_host(room, participant):
+    """Hand the host role to a participant and tell the room"""
+    active_rooms[room]['host'] = participant['sid']
+    socketio.emit('host_changed', {
+        'sid': participant['sid'],
+        'username': participant['username']
+    }, room=room)
+    # The lobby now waits on the new host
+    emit_lobby(room)
+    print(f"User {participant['username']} is now host of room {room}")
+
+def host_room(data):
+    """The room an action is for, if whoever sent it is that room's host"""
+    room = data.get('room', 'default')
+    if room not in active_rooms or active_rooms[room]['host'] != client_id():
+        print(f"Ignoring host action from {client_id()} in room {room}")
+        return None
+    return room
+
+def remove_from_lobby(room, sid):
+    """Take someone out of a room's lobby, returning their entry"""
+    if room not in active_rooms:
+        return None
+    
+    lobby = active_rooms[room]['lobby']
+    waiting = next((entry for entry in lobby if entry['sid'] == sid), None)
+    if waiting:
+        lobby.remove(waiting)
+        emit_lobby(room)
+    return waiting
+
+def emit_lobby(room):
+    """Show the host who is waiting to be let in"""
+    room_info = active_rooms[room]
+    socketio.emit('lobby_update', {
+        'room': room,
+        'waiting': [{'sid': entry['sid'], 'username': entry['username']} for entry in room_info['lobby']]
+    }, room=room_info['host'])
 
 @socketio.on('join_room')
 def handle_join_room(data):
-    """Handle user joining a room"""
-    room = data.get('room', 'default')
-    username = data.get('username', 'Anonymous')
+    """Handle user joining a room - straight in, via the lobby, or turned away"""
+    room = str(data.get('room') or 'default').strip()[:ROOM_NAME_MAX]
+    username = str(data.get('username') or '').strip()[:USERNAME_MAX]
+    sid = client_id()
     
-    join_room(room)
+    if not room or not username:
+        emit('join_rejected', {'room': room, 'reason': 'invalid'})
+        return
     
+    # Whoever opens a room is its host and sets its password and lobby
     if room not in active_rooms:
-        active_rooms[room] = {'participants': [], 'created_at': time.time()}
+        password = data.get('password') or ''
+        salt = os.urandom(16)
+        active_rooms[room] = {
+            'participants': [],
+            'created_at': time.time(),
+            'host': sid,
+            'password': (salt, hash_password(password, salt)) if password else None,
+            'lobby_enabled': bool(data.get('lobby', False)),
+            'lobby': [],
+            'locked': False,
+            'removed': set()  # tokens (or ids, without one) of participants the host removed
+        }
+        admit_participant(room, sid, username, data)
+        return
     
-    active_rooms[room]['participants'].append({
-        'sid': request.sid,
-        'username': username
-    })
+    room_info = active_rooms[room]
     
-    emit('user_joined', {
-        'username': username,
+    # Already in, or back from a dropped connection: a re-join refreshes the roster
+    if find_participant(room, sid):
+        admit_participant(room, sid, username, data)
+        return
+    
+    if room_info['locked']:
+        emit('join_rejected', {'room': room, 'reason': 'locked'})
+        return
+    
+    if not check_password(room, data.get('password')):
+        emit('join_rejected', {'room': room, 'reason': 'password'})
+        return
+    
+    # Whoever the host removed only gets back in if the host lets them
+    if room_info['lobby_enabled'] or removal_keys(sid) & room_info['removed']:
+        remove_from_lobby(room, sid)
+        room_info['lobby'].append({'sid': sid, 'username': username, 'data': data})
+        emit('lobby_waiting', {'room': room})
+        emit_lobby(room)
+        print(f"User {username} is waiting in the lobby of room {room}")
+        return
+    
+    admit_participant(room, sid, username, data)
+
+def admit_participant(room, sid, username, data):
+    """Add a socket to a room. Runs for the joiner themselves, or for the host
+    letting them in from the lobby, so every emit names its recipient."""
+    # A socket is in one room at a time
+    for other_room in list(active_rooms):
+        if other_room != room:
+            remove_from_lobby(other_room, sid)
+            if find_participant(other_room, sid):
+                leave_room(other_room, sid=socket_of(sid))
+                remove_participant(other_room, sid)
+    
+    join_room(room, sid=socket_of(sid))
+    
+    # A reloaded page keeps its participant id but numbers its transcript from 1 again
+    transcript_sequences.pop(sid, None)
+    
+    meeting_started_at.setdefault(room, active_rooms[room]['created_at'])
+    
+    participants = active_rooms[room]['participants']
+    participant = find_participant(room, sid)
+    is_new = participant is None
+    
+    if is_new:
+        participant = {
+            'sid': sid,
+            'username': username,
+            'audio_muted': False,
+            'video_stopped': False,
+            'low_data': False,
+            'receive_video': True,
+            'quality': None,
+            'speaking': False,
+            'recording': False,
+            'reconnecting': False,
+            'e2ee': False
+        }
+        participant.update({key: data[key] for key in PARTICIPANT_STATE_KEYS if key in data})
+        participants.append(participant)
+    elif participant['reconnecting']:
+        # Back within the grace period: same participant, fresh state
+        changes = {key: data[key] for key in PARTICIPANT_STATE_KEYS if key in data}
+        changes['reconnecting'] = False
+        participant.update(changes)
+        emit('participant_updated', {
+            'sid': sid,
+            'changes': changes
+        }, room=room, skip_sid=socket_of(sid))
+        print(f"User {username} is back in room {room}")
+    
+    # Full roster for the newcomer, who also calls everyone else in it
+    emit('roster_snapshot', {
         'room': room,
-        'participants': len(active_rooms[room]['participants'])
-    }, room=room)
+        'participants': participants,
+        'settings': room_settings(room)
+    }, room=sid)
     
-    print(f"User {username} joined room {room}")
+    # Chat and everything said so far, so late joiners can catch up
+    emit('chat_history', {
+        'room': room,
+        'messages': chat_history.get(room, [])
+    }, room=sid)
+    
+    emit('transcript_history', {
+        'room': room,
+        'started_at': meeting_started_at[room],
+        'entries': meeting_transcripts.get(room, [])
+    }, room=sid)
+    
+    if is_new:
+        emit('user_joined', {
+            'sid': sid,
+            'username': username,
+            'room': room,
+            'participant': participant,
+            'participants': len(participants)
+        }, room=room, skip_sid=socket_of(sid))
+        
+        print(f"User {username} joined room {room}")
 
 @socketio.on('leave_room')
 def handle_leave_room(data):
-    """Handle user leaving a room"""
+    """Handle user leaving a room, or giving up on its lobby"""
     room = data.get('room', 'default')
+    sid = client_id()
     leave_room(room)
+    remove_from_lobby(room, sid)
+    remove_participant(room, sid)
+
+# Host Controls
+@socketio.on('admit_participant')
+def handle_admit_participant(data):
+    """Host lets someone in from the lobby"""
+    room = host_room(data)
+    waiting = room and remove_from_lobby(room, data.get('sid'))
+    if not waiting:
+        return
+    
+    active_rooms[room]['removed'] -= removal_keys(waiting['sid'])
+    emit('join_admitted', {'room': room}, room=waiting['sid'])
+    admit_participant(room, waiting['sid'], waiting['username'], waiting['data'])
+
+@socketio.on('reject_participant')
+def handle_reject_participant(data):
+    """Host turns someone in the lobby away"""
+    room = host_room(data)
+    waiting = room and remove_from_lobby(room, data.get('sid'))
+    if not waiting:
+        return
+    
+    emit('join_rejected', {'room': room, 'reason': 'rejected'}, room=waiting['sid'])
+    print(f"User {waiting['username']} was turned away from room {room}")
+
+@socketio.on('host_mute')
+def handle_host_mute(data):
+    """Host asks a participant to mute. Their own app does the muting, so it
+    isn't enforced, and they can unmute themselves afterwards."""
+    room = host_room(data)
+    target = room and find_participant(room, data.get('sid'))
+    if not target:
+        return
+    
+    emit('force_mute', {
+        'room': room,
+        'by': find_participant(room, client_id())['username']
+    }, room=target['sid'])
+
+@socketio.on('remove_participant')
+def handle_remove_participant(data):
+    """Host removes a participant from the call. They are remembered by their
+    token, so rejoining - even from a reloaded page - puts them in the lobby."""
+    room = host_room(data)
+    target = room and find_participant(room, data.get('sid'))
+    if not target or target['sid'] == client_id():
+        return
+    
+    emit('removed', {
+        'room': room,
+        'by': find_participant(room, client_id())['username']
+    }, room=target['sid'])
+    active_rooms[room]['removed'] |= removal_keys(target['sid'])
+    leave_room(room, sid=socket_of(target['sid']))
+    remove_participant(room, target['sid'])
+
+def removal_keys(sid):
+    """What a removal is remembered by: the participant's tokens, which outlive
+    its id when the page reloads, or just the id if it has none"""
+    return set(client_tokens(sid)) or {sid}
+
+@socketio.on('room_settings')
+def handle_room_settings(data):
+    """Host locks or unlocks the room, or turns the lobby on or off"""
+    room = host_room(data)
+    if not room:
+        return
     
-    if room in active_rooms:
-        active_rooms[room]['participants'] = [
-            p for p in active_rooms[room]['participants'] 
-            if p['sid'] != request.sid
-        ]
+    room_info = active_rooms[room]
+    if 'locked' in data:
+        room_info['locked'] = bool(data['locked'])
+    if 'lobby' in data:
+        room_info['lobby_enabled'] = bool(data['lobby'])
     
-    emit('user_left', {'room': room}, room=room)
+    emit('room_settings', room_settings(room), room=room)
+
+@socketio.on('transfer_host')
+def handle_transfer_host(data):
+    """Host hands the role to another participant"""
+    room = host_room(data)
+    target = room and find_participant(room, data.get('sid'))
+    if not target:
+        return
+    
+    set_host(room, target)
+
+@socketio.on('participant_state')
+def handle_participant_state(data):
+    """Update a participant's presence (mute, video, low data, quality, speaking)"""
+    room = data.get('room', 'default')
+    participant = find_participant(room, client_id())
+    if not participant:
+        return
+    
+    changes = {key: data[key] for key in PARTICIPANT_STATE_KEYS if key in data}
+    participant.update(changes)
+    
+    emit('participant_updated', {
+        'sid': client_id(),
+        'changes': changes
+    }, room=room, include_self=False)
 
 # WebRTC Signaling
+def relay_to_peer(event, data):
+    """Forward a signaling message to the one peer it is addressed to. Both
+    ends have to be admitted to the same room - not waiting in its lobby, and
+    never the room itself as the target."""
+    room = data.get('room', 'default')
+    target = data.get('target')
+    if not find_participant(room, client_id()) or not find_participant(room, target):
+        print(f"Ignoring {event} from {client_id()} for {target} outside room {room}")
+        return
+    
+    data['from'] = client_id()
+    emit(event, data, room=target)
+
 @socketio.on('offer')
 def handle_offer(data):
     """Handle WebRTC offer"""
-    room = data.get('room', 'default')
-    print(f"Received offer for room {room}")
-    emit('offer', data, room=room, include_self=False)
+    print(f"Received offer from {client_id()} for {data.get('target')}")
+    relay_to_peer('offer', data)
 
 @socketio.on('answer')
 def handle_answer(data):
     """Handle WebRTC answer"""
-    room = data.get('room', 'default')
-    print(f"Received answer for room {room}")
-    emit('answer', data, room=room, include_self=False)
+    print(f"Received answer from {client_id()} for {data.get('target')}")
+    relay_to_peer('answer', data)
 
 @socketio.on('ice_candidate')
 def handle_ice_candidate(data):
     """Handle ICE candidate"""
-    room = data.get('room', 'default')
-    emit('ice_candidate', data, room=room, include_self=False)
+    relay_to_peer('ice_candidate', data)
 
 # Network Quality Monitoring (Your handwritten requirements!)
 @socketio.on('network_stats')
 def handle_network_stats(data):
-    """Handle network quality statistics"""
+    """Record network quality telemetry reported by a client.
+
+    Clients classify quality themselves, so nothing is sent back to the room.
+    """
     room = data.get('room', 'default')
     stats = {
         'packet_loss': data.get('packet_loss', 0),
         'rtt': data.get('rtt', 0),
         'jitter': data.get('jitter', 0),
+        'available_outgoing_bitrate': data.get('available_outgoing_bitrate'),
+        'worst_track': data.get('worst_track'),
+        'tracks': data.get('tracks', []),
         'timestamp': time.time(),
-        'user': request.sid
+        'user': client_id(),
+        'peer': data.get('peer')
     }
     
     # Store stats
@@ -116,21 +624,12 @@ def handle_network_stats(data):
     if len(network_stats[room]) > 10:
         network_stats[room] = network_stats[room][-10:]
     
-    # Determine quality level
-    quality_level = determine_quality(stats)
-    
-    # Get recommendation
-    recommendation = get_quality_recommendation(quality_level)
+    # Prefer the client's own verdict, fall back to the server thresholds
+    quality_level = data.get('level') or determine_quality(stats)
     
     print(f"Network stats - Room: {room}, Quality: {quality_level}, "
-          f"Packet Loss: {stats['packet_loss']:.1f}%, RTT: {stats['rtt']:.1f}ms")
-    
-    # Broadcast quality update to room
-    emit('quality_update', {
-        'level': quality_level,
-        'stats': stats,
-        'recommendation': recommendation
-    }, room=room)
+          f"Packet Loss: {stats['packet_loss']:.1f}%, RTT: {stats['rtt']:.1f}ms, "
+          f"Worst track: {stats['worst_track'] or 'none'}")
 
 def determine_quality(stats):
     """Determine network quality based on stats"""
@@ -144,48 +643,171 @@ def determine_quality(stats):
     else:
         return 'good'
 
-def get_quality_recommendation(level):
-    """Get recommendation based on quality level"""
-    recommendations = {
-        'poor': 'Consider switching to audio-only mode',
-        'medium': 'Video quality automatically reduced',
-        'good': 'Optimal video quality available'
-    }
-    return recommendations.get(level, 'Unknown quality')
-
 # Low Data Mode Support
 @socketio.on('low_data_mode')
 def handle_low_data_mode(data):
     """Handle low data mode toggle"""
     room = data.get('room', 'default')
+    participant = find_participant(room, client_id())
+    if not participant:
+        return
+    
     enabled = data.get('enabled', False)
-    username = data.get('username', 'User')
+    username = participant['username']
+    tier = data.get('tier')
+    
+    if enabled:
+        message = f"{username} enabled low data mode" + (f" ({tier})" if tier else '')
+    else:
+        message = f"{username} disabled low data mode"
     
     emit('low_data_mode_update', {
         'username': username,
         'enabled': enabled,
-        'message': f"{username} {'enabled' if enabled else 'disabled'} low data mode"
+        'tier': tier,
+        'message': message
+    }, room=room)
+
+# Screen Sharing
+@socketio.on('screen_share')
+def handle_screen_share(data):
+    """Tell the room when someone starts or stops sharing their screen"""
+    room = data.get('room', 'default')
+    participant = find_participant(room, client_id())
+    if not participant:
+        return
+    
+    emit('screen_share', {
+        'sid': client_id(),
+        'username': participant['username'],
+        'sharing': bool(data.get('sharing', False))
+    }, room=room, include_self=False)
+
+# In-call Chat
+# Messages normally travel peer to peer over a data channel; the server keeps
+# the room's history for the session and relays to peers without a channel.
+CHAT_MAX_LENGTH = 2000
+CHAT_MAX_FILE_SIZE = 2 * 1024 * 1024  # the client's limit too
+FILE_NAME_MAX = 255
+FILE_TYPE_MAX = 100
+
+chat_history = {}  # room -> messages, oldest first
+
+@socketio.on('chat_message')
+def handle_chat_message(data):
+    """Store a chat message and relay it to peers it didn't reach directly"""
+    room = data.get('room', 'default')
+    message = data.get('message') or {}
+    participant = find_participant(room, client_id())
+    if not participant or not message.get('id'):
+        return
+    
+    text = str(message.get('text', '')).strip()[:CHAT_MAX_LENGTH]
+    file = message.get('file')
+    if not text and not isinstance(file, dict):
+        return
+    
+    # Files themselves never pass through here, only what they were
+    if isinstance(file, dict):
+        name = str(file.get('name') or '').strip()
+        size = file.get('size')
+        file_type = str(file.get('type') or '')
+        if (not name or len(name) > FILE_NAME_MAX or len(file_type) > FILE_TYPE_MAX
+                or isinstance(size, bool) or not isinstance(size, int)
+                or not 0 <= size <= CHAT_MAX_FILE_SIZE):
+            print(f"Ignoring file details from {client_id()} in room {room}")
+            return
+    
+    entry = {
+        'id': str(message['id']),
+        'sid': client_id(),
+        'username': participant['username'],
+        'time': message.get('time') or int(time.time() * 1000),
+        'text': text
+    }
+    if isinstance(file, dict):
+        entry['file'] = {'name': name, 'size': size, 'type': file_type}
+    
+    chat_history.setdefault(room, []).append(entry)
+    
+    delivered = set(data.get('delivered') or [])
+    for other in active_rooms[room]['participants']:
+        if other['sid'] != client_id() and other['sid'] not in delivered:
+            emit('chat_message', {'room': room, 'message': entry}, room=other['sid'])
+
+@socketio.on('chat_file')
+def handle_chat_file(data):
+    """Relay file chunks to a peer whose data channel isn't open yet"""
+    relay_to_peer('chat_file', data)
+
+# Recording
+@socketio.on('recording')
+def handle_recording(data):
+    """Tell everyone in the room, the recorder included, that recording started or stopped"""
+    room = data.get('room', 'default')
+    participant = find_participant(room, client_id())
+    if not participant:
+        return
+    
+    participant['recording'] = bool(data.get('recording', False))
+    
+    emit('recording_update', {
+        'sid': client_id(),
+        'username': participant['username'],
+        'recording': participant['recording']
     }, room=room)
+    
+    print(f"User {participant['username']} {'started' if participant['recording'] else 'stopped'} recording in room {room}")
 
 import datetime
 
 # In-memory storage, keyed by room
 meeting_transcripts = {}
+meeting_started_at = {}  # room -> epoch seconds of the first join
+
+# Last transcript sequence number seen from each participant since they
+# (re)joined - see admit_participant
+transcript_sequences = {}
 
 @socketio.on('audio_transcript')
 def handle_audio_transcript(data):
     room = data.get('room', 'default')
-    username = data.get('username', 'Anonymous')
-    text = data.get('text', '')
+    participant = find_participant(room, client_id())
+    if not participant:
+        return
+
+    username = participant['username']
+    text = str(data.get('text', '')).strip()
+    seq = data.get('seq')
     timestamp = datetime.datetime.now().strftime('%H:%M:%S')
 
+    # Every segment is numbered; anything without a whole-number seq is ignored
+    if not text or isinstance(seq, bool) or not isinstance(seq, int):
+        return
+
+    # Each finalized segment arrives once; drop repeats and stragglers
+    last_seq = transcript_sequences.get(client_id())
+    if last_seq is not None and seq <= last_seq:
+        return
+    transcript_sequences[client_id()] = seq
+
+    entry = {
+        'sid': client_id(),
+        'username': username,
+        'text': text,
+        'timestamp': timestamp,
+        'seq': seq,
+        'language': data.get('language'),
+        'time': time.time()
+    }
+
     # Save transcript in memory for the room
     if room not in meeting_transcripts:
         meeting_transcripts[room] = []
-    meeting_transcripts[room].append({'username': username, 'text': text, 'timestamp': timestamp})
+    meeting_transcripts[room].append(entry)
 
     # Broadcast latest transcript to all clients in room
-    emit('transcript_update', {'username': username, 'text': text, 'timestamp': timestamp}, room=room)
+    emit('transcript_update', entry, room=room)
 
 if __name__ == '__main__':
     print("🚀 Starting Video Conference Server...")
@@ -0,0 +1,109 @@
+// Active Speaker Detection
+// Meters every participant's audio and works out who is speaking. A voice has
+// to stay loud for a moment before it counts, so coughs and door slams don't,
+// and the active speaker only changes once someone else has been talking for
+// a while - or stays put through a pause when nobody else is.
+const SPEAKER_POLL_MS = 100;
+const SPEAKER_LEVEL = 0.45;        // meter level, 0..1
+const SPEAKER_ONSET_MS = 300;      // loud for this long before it counts as speech
+const SPEAKER_HOLD_MS = 800;       // pauses shorter than this don't end speech
+const SPEAKER_SWITCH_MS = 1000;    // talking for this long takes over as active speaker
+
+class ActiveSpeakerDetector {
+    constructor({ onSpeakingChange, onActiveSpeakerChange } = {}) {
+        this.onSpeakingChange = onSpeakingChange || (() => {});           // (id, speaking)
+        this.onActiveSpeakerChange = onActiveSpeakerChange || (() => {}); // (id or null)
+        this.sources = new Map(); // id -> { meter, level, loudSince, lastLoud, speaking, muted }
+        this.activeSpeaker = null;
+        this.timer = null;
+    }
+
+    addStream(id, stream) {
+        if (stream.getAudioTracks().length === 0) return;
+
+        this.removeStream(id);
+        this.sources.set(id, {
+            meter: new AudioLevelMeter(stream),
+            level: 0,
+            loudSince: null,
+            lastLoud: 0,
+            speaking: false,
+            muted: false
+        });
+
+        if (!this.timer) {
+            this.timer = setInterval(() => this.poll(), SPEAKER_POLL_MS);
+        }
+    }
+
+    removeStream(id) {
+        const source = this.sources.get(id);
+        if (!source) return;
+
+        source.meter.close();
+        this.sources.delete(id);
+        if (source.speaking) {
+            this.onSpeakingChange(id, false);
+        }
+        if (this.activeSpeaker === id) {
+            this.setActiveSpeaker(null);
+        }
+
+        if (this.sources.size === 0) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // A muted source is still metered but can't become the active speaker
+    setMuted(id, muted) {
+        const source = this.sources.get(id);
+        if (source) {
+            source.muted = muted;
+        }
+    }
+
+    poll() {
+        const now = Date.now();
+
+        this.sources.forEach((source, id) => {
+            source.level = source.meter.getLevel();
+            if (source.level > SPEAKER_LEVEL) {
+                source.loudSince = source.loudSince || now;
+                source.lastLoud = now;
+            } else if (now - source.lastLoud > SPEAKER_HOLD_MS) {
+                source.loudSince = null;
+            }
+
+            const speaking = source.loudSince !== null && now - source.loudSince >= SPEAKER_ONSET_MS;
+            if (speaking !== source.speaking) {
+                source.speaking = speaking;
+                this.onSpeakingChange(id, speaking);
+            }
+        });
+
+        // The current speaker keeps the floor while they're still talking
+        const current = this.sources.get(this.activeSpeaker);
+        if (current && current.speaking && !current.muted) return;
+
+        let loudest = null;
+        this.sources.forEach((source, id) => {
+            if (!source.speaking || source.muted || now - source.loudSince < SPEAKER_SWITCH_MS) return;
+            if (!loudest || source.level > this.sources.get(loudest).level) {
+                loudest = id;
+            }
+        });
+
+        if (loudest !== null && loudest !== this.activeSpeaker) {
+            this.setActiveSpeaker(loudest);
+        }
+    }
+
+    setActiveSpeaker(id) {
+        this.activeSpeaker = id;
+        this.onActiveSpeakerChange(id);
+    }
+}
+
+// Export for use in main.js
+window.ActiveSpeakerDetector = ActiveSpeakerDetector;
@@ -0,0 +1,24 @@
+// Screen-reader Announcements
+// A single polite live region for what's worth hearing without looking:
+// status messages, connection quality changes and other people's captions.
+// Each message gets its own node, so saying the same thing twice is heard twice.
+const ANNOUNCER_MAX_MESSAGES = 5;
+
+class Announcer {
+    constructor(region) {
+        this.region = region;
+    }
+
+    announce(message) {
+        const item = document.createElement('div');
+        item.textContent = message;
+        this.region.appendChild(item);
+
+        while (this.region.children.length > ANNOUNCER_MAX_MESSAGES) {
+            this.region.removeChild(this.region.firstChild);
+        }
+    }
+}
+
+// Export for use in main.js
+window.Announcer = Announcer;
@@ -0,0 +1,47 @@
+// Audio Level Metering
+// Wraps a Web Audio AnalyserNode around the audio of a MediaStream and reports
+// its level from 0 (silence) to 1. Every meter shares one AudioContext.
+class AudioLevelMeter {
+    static getContext() {
+        if (!AudioLevelMeter.context) {
+            AudioLevelMeter.context = new (window.AudioContext || window.webkitAudioContext)();
+        }
+        // Contexts created before a user gesture start suspended
+        if (AudioLevelMeter.context.state === 'suspended') {
+            AudioLevelMeter.context.resume();
+        }
+        return AudioLevelMeter.context;
+    }
+
+    constructor(stream) {
+        const context = AudioLevelMeter.getContext();
+        this.analyser = context.createAnalyser();
+        this.analyser.fftSize = 512;
+        this.samples = new Float32Array(this.analyser.fftSize);
+        this.source = context.createMediaStreamSource(stream);
+        this.source.connect(this.analyser);
+    }
+
+    getLevel() {
+        this.analyser.getFloatTimeDomainData(this.samples);
+
+        let sum = 0;
+        for (let i = 0; i < this.samples.length; i++) {
+            sum += this.samples[i] * this.samples[i];
+        }
+        const rms = Math.sqrt(sum / this.samples.length);
+
+        // Map -60dB..0dB onto 0..1
+        const decibels = 20 * Math.log10(rms || 1e-8);
+        return Math.max(0, Math.min(1, (decibels + 60) / 60));
+    }
+
+    close() {
+        this.source.disconnect();
+    }
+}
+
+AudioLevelMeter.context = null;
+
+// Export for use in main.js
+window.AudioLevelMeter = AudioLevelMeter;
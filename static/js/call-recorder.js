@@ -0,0 +1,277 @@
+// Call Recording
+// Draws every participant's video into one canvas, mixes all of their audio
+// through Web Audio and records both with MediaRecorder as WebM. Sources are
+// re-read every frame, so people joining or leaving mid-recording just appear
+// in or drop out of the layout. Everyone in the room is told while anyone is
+// recording.
+const RECORDING_WIDTH = 1280;
+const RECORDING_HEIGHT = 720;
+const RECORDING_FPS = 25;
+const RECORDING_TIMESLICE_MS = 1000;
+const RECORDING_MIME_TYPES = [
+    'video/webm;codecs=vp9,opus',
+    'video/webm;codecs=vp8,opus',
+    'video/webm'
+];
+
+class CallRecorder {
+    constructor(socket, { getRoom, getSelfId, getSources, download, onStatus } = {}) {
+        this.socket = socket;
+        this.getRoom = getRoom;
+        this.getSelfId = getSelfId;
+        this.getSources = getSources; // () => [{ id, label, video, stream }]
+        this.download = download;
+        this.onStatus = onStatus || (() => {}); // (message, type)
+        this.recorder = null;
+        this.canvas = null;
+        this.drawTimer = null;
+        this.destination = null;
+        this.audioSources = new Map(); // stream id -> MediaStreamAudioSourceNode
+        this.chunks = [];
+        this.size = 0;
+        this.startedAt = null;
+        this.statusTimer = null;
+        this.recorders = new Map(); // participant id -> username of everyone recording
+
+        this.setupSocketListeners();
+        this.setupUIEventListeners();
+    }
+
+    static isSupported() {
+        return 'MediaRecorder' in window && 'captureStream' in HTMLCanvasElement.prototype;
+    }
+
+    get isRecording() {
+        return this.recorder !== null;
+    }
+
+    setupSocketListeners() {
+        // Someone was already recording when we joined
+        this.socket.on('roster_snapshot', (data) => {
+            this.recorders.clear();
+            data.participants
+                .filter(participant => participant.recording)
+                .forEach(participant => this.recorders.set(participant.sid, participant.username));
+            this.renderIndicator();
+
+            // Back after the room dropped us, which forgot we were recording;
+            // everyone must be told again
+            if (this.isRecording && !this.recorders.has(this.getSelfId())) {
+                this.announce(true);
+            }
+        });
+
+        this.socket.on('recording_update', (data) => {
+            if (data.recording) {
+                this.recorders.set(data.sid, data.username);
+            } else {
+                this.recorders.delete(data.sid);
+            }
+            this.renderIndicator();
+            if (data.sid !== this.getSelfId()) {
+                this.onStatus(`${data.username} ${data.recording ? 'started' : 'stopped'} recording`, 'warning');
+            }
+        });
+
+        this.socket.on('user_left', (data) => {
+            if (this.recorders.delete(data.sid)) {
+                this.renderIndicator();
+            }
+        });
+    }
+
+    setupUIEventListeners() {
+        document.getElementById('recordCall').onclick = () => {
+            if (this.isRecording) {
+                this.stop();
+            } else {
+                this.start();
+            }
+        };
+
+        if (!CallRecorder.isSupported()) {
+            document.getElementById('recordCall').disabled = true;
+            document.getElementById('recordCall').title = 'Recording is not supported in this browser';
+        }
+    }
+
+    start() {
+        if (this.isRecording || !CallRecorder.isSupported()) return;
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = RECORDING_WIDTH;
+        this.canvas.height = RECORDING_HEIGHT;
+
+        const context = AudioLevelMeter.getContext();
+        this.destination = context.createMediaStreamDestination();
+
+        this.drawFrame();
+        this.drawTimer = setInterval(() => this.drawFrame(), 1000 / RECORDING_FPS);
+
+        const stream = new MediaStream([
+            ...this.canvas.captureStream(RECORDING_FPS).getVideoTracks(),
+            ...this.destination.stream.getAudioTracks()
+        ]);
+        const mimeType = RECORDING_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+
+        this.chunks = [];
+        this.size = 0;
+        this.recorder = new MediaRecorder(stream, mimeType ? { mimeType } : {});
+        this.recorder.ondataavailable = (event) => {
+            if (event.data.size > 0) {
+                this.chunks.push(event.data);
+                this.size += event.data.size;
+            }
+        };
+        this.recorder.onstop = () => this.save(mimeType || 'video/webm');
+        this.recorder.start(RECORDING_TIMESLICE_MS);
+
+        this.startedAt = Date.now();
+        this.statusTimer = setInterval(() => this.renderStatus(), 1000);
+        this.renderStatus();
+        this.renderButton();
+        this.announce(true);
+        console.log(`⏺ Recording started (${mimeType || 'default format'})`);
+    }
+
+    stop() {
+        if (!this.isRecording) return;
+
+        this.recorder.stop(); // the last chunk arrives before onstop
+        this.recorder = null;
+        clearInterval(this.drawTimer);
+        clearInterval(this.statusTimer);
+        this.drawTimer = null;
+        this.statusTimer = null;
+
+        this.audioSources.forEach(source => source.disconnect());
+        this.audioSources.clear();
+        this.destination = null;
+
+        document.getElementById('recordingStatus').classList.add('hidden');
+        this.renderButton();
+        this.announce(false);
+        console.log('⏹ Recording stopped');
+    }
+
+    save(mimeType) {
+        const blob = new Blob(this.chunks, { type: mimeType.split(';')[0] });
+        const stamp = new Date(this.startedAt).toISOString().replace(/[:.]/g, '-');
+        this.download(`recording-${this.getRoom()}-${stamp}.webm`, blob, blob.type);
+        this.chunks = [];
+        this.onStatus(`Recording saved (${CallRecorder.formatSize(blob.size)})`, 'success');
+    }
+
+    announce(recording) {
+        this.socket.emit('recording', { room: this.getRoom(), recording });
+    }
+
+    drawFrame() {
+        const sources = this.getSources();
+        this.syncAudio(sources);
+
+        const context = this.canvas.getContext('2d');
+        context.fillStyle = '#1e1e1e';
+        context.fillRect(0, 0, RECORDING_WIDTH, RECORDING_HEIGHT);
+
+        // As square a grid as the participant count allows
+        const columns = Math.ceil(Math.sqrt(sources.length));
+        const rows = Math.ceil(sources.length / columns);
+        const cellWidth = RECORDING_WIDTH / columns;
+        const cellHeight = RECORDING_HEIGHT / rows;
+
+        sources.forEach((source, index) => {
+            const x = (index % columns) * cellWidth;
+            const y = Math.floor(index / columns) * cellHeight;
+            this.drawVideo(context, source, x, y, cellWidth, cellHeight);
+        });
+    }
+
+    drawVideo(context, source, x, y, width, height) {
+        const { video } = source;
+        if (video && video.readyState >= 2 && video.videoWidth > 0) {
+            // Letterbox to keep the aspect ratio
+            const scale = Math.min(width / video.videoWidth, height / video.videoHeight);
+            const drawWidth = video.videoWidth * scale;
+            const drawHeight = video.videoHeight * scale;
+            context.drawImage(video, x + (width - drawWidth) / 2, y + (height - drawHeight) / 2, drawWidth, drawHeight);
+        } else {
+            context.fillStyle = '#343a40';
+            context.fillRect(x + 2, y + 2, width - 4, height - 4);
+        }
+
+        context.font = 'bold 20px sans-serif';
+        const labelWidth = context.measureText(source.label).width + 16;
+        context.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        context.fillRect(x + 8, y + height - 38, labelWidth, 30);
+        context.fillStyle = 'white';
+        context.fillText(source.label, x + 16, y + height - 16);
+    }
+
+    // Connect audio from new sources to the mix, drop it from departed ones
+    syncAudio(sources) {
+        const context = AudioLevelMeter.getContext();
+        const current = new Set();
+
+        sources.forEach(({ stream }) => {
+            if (!stream || stream.getAudioTracks().length === 0) return;
+
+            current.add(stream.id);
+            if (!this.audioSources.has(stream.id)) {
+                const node = context.createMediaStreamSource(stream);
+                node.connect(this.destination);
+                this.audioSources.set(stream.id, node);
+            }
+        });
+
+        this.audioSources.forEach((node, streamId) => {
+            if (!current.has(streamId)) {
+                node.disconnect();
+                this.audioSources.delete(streamId);
+            }
+        });
+    }
+
+    renderStatus() {
+        const seconds = Math.floor((Date.now() - this.startedAt) / 1000);
+        const elapsed = `${String(Math.floor(seconds / 60)).padStart(2, '0')}:${String(seconds % 60).padStart(2, '0')}`;
+        const status = document.getElementById('recordingStatus');
+        status.textContent = `⏺ ${elapsed} · ${CallRecorder.formatSize(this.size)}`;
+        status.classList.remove('hidden');
+    }
+
+    renderButton() {
+        const button = document.getElementById('recordCall');
+        button.textContent = this.isRecording ? '⏹ Stop Recording' : '⏺ Record';
+        button.classList.toggle('btn-danger', this.isRecording);
+        button.classList.toggle('btn-secondary', !this.isRecording);
+        button.setAttribute('aria-pressed', String(this.isRecording));
+    }
+
+    // We left the room, so its recordings no longer concern us
+    clear() {
+        this.recorders.clear();
+        this.renderIndicator();
+    }
+
+    // Shown on every client while anyone in the room is recording
+    renderIndicator() {
+        const indicator = document.getElementById('recordingIndicator');
+        const names = Array.from(this.recorders.entries())
+            .map(([sid, username]) => sid === this.getSelfId() ? 'You' : username);
+
+        indicator.textContent = names.length > 0
+            ? `🔴 Recording - ${names.join(', ')} ${names.length === 1 && names[0] !== 'You' ? 'is' : 'are'} recording this call`
+            : '';
+        indicator.classList.toggle('hidden', names.length === 0);
+    }
+
+    static formatSize(bytes) {
+        return bytes < 1024 * 1024
+            ? `${Math.round(bytes / 1024)} KB`
+            : `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+}
+
+// Export for use in main.js
+window.CallRecorder = CallRecorder;
@@ -0,0 +1,381 @@
+// In-call Chat
+// Messages and small files go straight to each peer over an RTCDataChannel on
+// the call's peer connection. Peers whose channel isn't open yet get them
+// through the signaling server instead, which also keeps the room's messages
+// for the session so anyone who (re)joins sees what they missed.
+const CHAT_CHANNEL_ID = 0;                 // negotiated channel, same id on both ends
+const CHAT_MAX_FILE_SIZE = 2 * 1024 * 1024;
+const CHAT_CHUNK_SIZE = 16 * 1024;         // file bytes per chunk, before base64
+const CHAT_BUFFER_HIGH = 1024 * 1024;      // stop queuing on a channel above this
+
+class ChatPanel {
+    constructor(socket, { getRoom, getUsername, getSelfId, getParticipantName, onStatus } = {}) {
+        this.socket = socket;
+        this.getRoom = getRoom;
+        this.getUsername = getUsername;
+        this.getSelfId = getSelfId; // our participant id, which outlives the socket's
+        this.getParticipantName = getParticipantName; // (participant id) -> name on the roster
+        this.onStatus = onStatus || (() => {}); // (message, type)
+        this.channels = new Map(); // participant id -> RTCDataChannel
+        this.messages = new Map(); // message id -> { message, element, blob }
+        this.incomingFiles = new Map(); // message id -> { sender, chunks, received }
+        this.sequence = 0;
+        this.unread = 0;
+
+        this.setupSocketListeners();
+        this.setupUIEventListeners();
+    }
+
+    setupSocketListeners() {
+        // Everything said in the room so far
+        this.socket.on('chat_history', (data) => {
+            data.messages.forEach(message => this.addMessage(message));
+        });
+
+        // Relayed by the server for peers we have no open channel to
+        this.socket.on('chat_message', (data) => {
+            this.addMessage(data.message);
+        });
+
+        this.socket.on('chat_file', (data) => {
+            this.handlePayload(data.payload, data.from);
+        });
+    }
+
+    setupUIEventListeners() {
+        document.getElementById('chatForm').addEventListener('submit', (event) => {
+            event.preventDefault();
+            const input = document.getElementById('chatInput');
+            this.sendText(input.value);
+            input.value = '';
+        });
+
+        document.getElementById('chatFile').addEventListener('change', (event) => {
+            if (event.target.files[0]) {
+                this.sendFile(event.target.files[0]);
+            }
+            event.target.value = '';
+        });
+
+        document.getElementById('chatPanel').addEventListener('toggle', () => this.markRead());
+        document.addEventListener('visibilitychange', () => this.markRead());
+    }
+
+    // Both ends create the same negotiated channel, so no ondatachannel is needed
+    addPeer(peerId, peerConnection) {
+        const channel = peerConnection.createDataChannel('chat', {
+            negotiated: true,
+            id: CHAT_CHANNEL_ID
+        });
+        channel.bufferedAmountLowThreshold = CHAT_BUFFER_HIGH / 2;
+        channel.onmessage = (event) => this.handlePayload(JSON.parse(event.data), peerId);
+        this.channels.set(peerId, channel);
+    }
+
+    removePeer(peerId) {
+        this.channels.delete(peerId);
+
+        // Chunks still waiting for their file-start never get one now
+        this.incomingFiles.forEach((incoming, id) => {
+            if (incoming.sender === peerId && !this.messages.has(id)) {
+                this.incomingFiles.delete(id);
+            }
+        });
+    }
+
+    createMessage(fields) {
+        this.sequence++;
+        return {
+            id: `${this.getSelfId()}-${Date.now()}-${this.sequence}`,
+            sid: this.getSelfId(),
+            username: this.getUsername(),
+            time: Date.now(),
+            ...fields
+        };
+    }
+
+    // Peers with an open channel get it directly; the server stores it and
+    // relays it to everyone else in the room
+    sendText(text) {
+        const trimmed = text.trim();
+        if (!trimmed) return;
+
+        const message = this.createMessage({ text: trimmed });
+        const delivered = [];
+        this.channels.forEach((channel, peerId) => {
+            if (channel.readyState === 'open') {
+                channel.send(JSON.stringify({ type: 'message', message }));
+                delivered.push(peerId);
+            }
+        });
+
+        this.socket.emit('chat_message', { room: this.getRoom(), message, delivered });
+        this.addMessage(message);
+    }
+
+    async sendFile(file) {
+        if (file.size > CHAT_MAX_FILE_SIZE) {
+            this.onStatus(`${file.name} is too large to send (limit ${ChatPanel.formatSize(CHAT_MAX_FILE_SIZE)})`, 'error');
+            return;
+        }
+        if (this.channels.size === 0) {
+            this.onStatus('Join a call to share files', 'warning');
+            return;
+        }
+
+        const message = this.createMessage({
+            file: { name: file.name, size: file.size, type: file.type }
+        });
+        this.addMessage(message);
+
+        const entry = this.messages.get(message.id);
+        entry.blob = file;
+        this.renderFile(entry);
+
+        // Only the file's details go into the room history
+        const peerIds = Array.from(this.channels.keys());
+        this.socket.emit('chat_message', { room: this.getRoom(), message, delivered: peerIds });
+
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        const chunkCount = Math.max(1, Math.ceil(bytes.length / CHAT_CHUNK_SIZE));
+
+        try {
+            await Promise.all(peerIds.map(peerId => this.sendTo(peerId, { type: 'file-start', message })));
+            for (let index = 0; index < chunkCount; index++) {
+                const data = ChatPanel.toBase64(bytes.subarray(index * CHAT_CHUNK_SIZE, (index + 1) * CHAT_CHUNK_SIZE));
+                await Promise.all(peerIds.map(peerId => this.sendTo(peerId, { type: 'file-chunk', id: message.id, index, data })));
+                this.setProgress(entry, (index + 1) / chunkCount, 'Sending');
+            }
+            await Promise.all(peerIds.map(peerId => this.sendTo(peerId, { type: 'file-end', id: message.id })));
+            console.log(`📎 Sent ${file.name} to ${peerIds.length} participant(s)`);
+        } catch (error) {
+            console.error('❌ Error sending file:', error);
+            this.setProgress(entry, null, 'Failed to send');
+        }
+    }
+
+    // Over the peer's data channel when it's open, through the server otherwise
+    async sendTo(peerId, payload) {
+        const channel = this.channels.get(peerId);
+        if (!channel || channel.readyState !== 'open') {
+            this.socket.emit('chat_file', { room: this.getRoom(), target: peerId, payload });
+            return;
+        }
+
+        if (channel.bufferedAmount > CHAT_BUFFER_HIGH) {
+            await new Promise(resolve => {
+                channel.addEventListener('bufferedamountlow', resolve, { once: true });
+            });
+        }
+        channel.send(JSON.stringify(payload));
+    }
+
+    // `peerId` is who the payload came from - the channel's peer, or the sender
+    // the server relayed it for
+    handlePayload(payload, peerId) {
+        switch (payload.type) {
+            case 'message':
+                this.addMessage(this.fromPeer(payload.message, peerId));
+                break;
+            case 'file-start':
+                this.receiveFileStart(this.fromPeer(payload.message, peerId));
+                break;
+            case 'file-chunk':
+                this.receiveFileChunk(payload, peerId);
+                break;
+            case 'file-end':
+                this.receiveFileEnd(payload.id);
+                break;
+        }
+    }
+
+    // A peer can write anything into a message, so who sent it comes from where
+    // it arrived, under the name the roster has for them
+    fromPeer(message, peerId) {
+        return {
+            ...message,
+            sid: peerId,
+            username: this.getParticipantName(peerId) || 'Unknown'
+        };
+    }
+
+    receiveFileStart(message) {
+        if (!message.file || message.file.size > CHAT_MAX_FILE_SIZE) return;
+
+        const incoming = this.incomingFiles.get(message.id);
+        if (incoming && incoming.sender !== message.sid) return;
+        if (!incoming) {
+            this.incomingFiles.set(message.id, { sender: message.sid, chunks: [], received: 0 });
+        }
+        this.addMessage(message);
+        // Chunks that got here first may already be the whole file
+        this.receiveFileEnd(message.id);
+    }
+
+    // file-start can take the server while the chunks take a channel that has
+    // just opened, so chunks that overtake it are kept until it arrives
+    receiveFileChunk({ id, index, data }, peerId) {
+        let incoming = this.incomingFiles.get(id);
+        if (!incoming && !this.messages.has(id)) {
+            incoming = { sender: peerId, chunks: [], received: 0 };
+            this.incomingFiles.set(id, incoming);
+        }
+        if (!incoming || incoming.sender !== peerId) return;
+
+        const chunk = ChatPanel.fromBase64(data);
+        if (incoming.received + chunk.length > CHAT_MAX_FILE_SIZE) {
+            this.failTransfer(id);
+            return;
+        }
+        incoming.chunks[index] = chunk;
+        incoming.received += chunk.length;
+
+        const entry = this.messages.get(id);
+        if (!entry) return;
+        this.setProgress(entry, incoming.received / Math.max(1, entry.message.file.size), 'Receiving');
+        this.receiveFileEnd(id);
+    }
+
+    failTransfer(id) {
+        this.incomingFiles.delete(id);
+        const entry = this.messages.get(id);
+        if (entry) {
+            this.setProgress(entry, null, 'Failed to receive');
+        }
+    }
+
+    // Chunks can overtake each other when a channel opens mid-transfer, so the
+    // file is complete once every byte is in, whichever message comes last
+    receiveFileEnd(id) {
+        const incoming = this.incomingFiles.get(id);
+        const entry = this.messages.get(id);
+        if (!incoming || !entry || incoming.received < entry.message.file.size) return;
+
+        this.incomingFiles.delete(id);
+        entry.blob = new Blob(incoming.chunks, { type: entry.message.file.type || 'application/octet-stream' });
+        this.renderFile(entry);
+    }
+
+    addMessage(message) {
+        if (this.messages.has(message.id)) return;
+
+        const element = this.createMessageElement(message);
+        const entry = { message, element, blob: null };
+        this.messages.set(message.id, entry);
+
+        const list = document.getElementById('chatMessages');
+        list.appendChild(element);
+        list.scrollTop = list.scrollHeight;
+
+        if (message.file) {
+            this.renderFile(entry);
+        }
+
+        if (message.sid !== this.getSelfId()) {
+            this.countUnread();
+        }
+    }
+
+    createMessageElement(message) {
+        const item = document.createElement('li');
+        item.className = 'chat-message';
+        item.classList.toggle('own', message.sid === this.getSelfId());
+
+        const header = document.createElement('div');
+        header.className = 'chat-meta';
+        const name = document.createElement('strong');
+        name.textContent = message.username;
+        const time = document.createElement('span');
+        time.className = 'chat-time';
+        time.textContent = new Date(message.time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        header.append(name, ' ', time);
+
+        const body = document.createElement('div');
+        body.className = 'chat-text';
+        body.textContent = message.text || '';
+
+        item.append(header, body);
+        return item;
+    }
+
+    // A download link once we have the whole file, its details otherwise
+    renderFile(entry) {
+        const { file } = entry.message;
+        const body = entry.element.querySelector('.chat-text');
+        body.textContent = '';
+
+        const label = `📎 ${file.name} (${ChatPanel.formatSize(file.size)})`;
+        if (entry.blob) {
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(entry.blob);
+            link.download = file.name;
+            link.textContent = label;
+            body.appendChild(link);
+        } else {
+            body.textContent = this.incomingFiles.has(entry.message.id) ? label : `${label} - no longer available`;
+        }
+
+        const progress = document.createElement('span');
+        progress.className = 'chat-progress';
+        body.appendChild(progress);
+    }
+
+    setProgress(entry, fraction, action) {
+        const progress = entry.element.querySelector('.chat-progress');
+        if (!progress) return;
+
+        if (fraction === null) {
+            progress.textContent = ` ${action}`;
+        } else {
+            progress.textContent = fraction < 1 ? ` ${action} ${Math.round(fraction * 100)}%` : '';
+        }
+    }
+
+    isVisible() {
+        return document.getElementById('chatPanel').open && !document.hidden;
+    }
+
+    countUnread() {
+        if (this.isVisible()) return;
+
+        this.unread++;
+        this.renderUnread();
+    }
+
+    markRead() {
+        if (!this.isVisible()) return;
+
+        this.unread = 0;
+        this.renderUnread();
+    }
+
+    renderUnread() {
+        const badge = document.getElementById('chatUnread');
+        badge.textContent = this.unread;
+        badge.classList.toggle('hidden', this.unread === 0);
+    }
+
+    static toBase64(bytes) {
+        let binary = '';
+        bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+        return btoa(binary);
+    }
+
+    static fromBase64(data) {
+        const binary = atob(data);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    static formatSize(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+}
+
+// Export for use in main.js
+window.ChatPanel = ChatPanel;
@@ -0,0 +1,163 @@
+// Device Settings Panel
+// Lists cameras, microphones and speakers, keeps the lists current as devices
+// come and go, and remembers the user's choices in localStorage. Switching the
+// devices used by the call is left to the onDeviceChange callback.
+const DEVICE_STORAGE_KEY = 'simpleconfer.devices';
+
+const DEVICE_SELECTS = {
+    videoinput: 'cameraSelect',
+    audioinput: 'micSelect',
+    audiooutput: 'speakerSelect'
+};
+
+class DeviceSettings {
+    constructor({ onDeviceChange, onDeviceAdded } = {}) {
+        this.onDeviceChange = onDeviceChange || (() => {});
+        this.onDeviceAdded = onDeviceAdded || (() => {});
+        this.selected = DeviceSettings.loadSelection(); // kind -> deviceId
+        this.knownDevices = null; // deviceIds seen on the last refresh
+        this.stream = null;
+        this.meter = null;
+        this.meterFrame = null;
+
+        this.setupUIEventListeners();
+
+        // Headsets plugged in or pulled out
+        navigator.mediaDevices.addEventListener('devicechange', () => this.refreshDevices());
+    }
+
+    static loadSelection() {
+        try {
+            return JSON.parse(localStorage.getItem(DEVICE_STORAGE_KEY)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    saveSelection() {
+        localStorage.setItem(DEVICE_STORAGE_KEY, JSON.stringify(this.selected));
+    }
+
+    setupUIEventListeners() {
+        Object.entries(DEVICE_SELECTS).forEach(([kind, selectId]) => {
+            document.getElementById(selectId).onchange = (event) => {
+                this.selectDevice(kind, event.target.value);
+            };
+        });
+
+        // Only meter the mic while the panel is open
+        document.getElementById('deviceSettings').addEventListener('toggle', (event) => {
+            if (event.target.open) {
+                this.startMeter();
+            } else {
+                this.stopMeter();
+            }
+        });
+
+        if (!('setSinkId' in HTMLMediaElement.prototype)) {
+            document.getElementById('speakerSelect').disabled = true;
+            document.getElementById('speakerSelect').title = 'This browser cannot choose the audio output';
+        }
+    }
+
+    async selectDevice(kind, deviceId) {
+        this.selected[kind] = deviceId;
+        this.saveSelection();
+
+        try {
+            await this.onDeviceChange(kind, deviceId);
+        } catch (error) {
+            console.error('❌ Error switching device:', error);
+        }
+    }
+
+    // Constraint for getUserMedia; `ideal` so a missing saved device isn't fatal
+    getConstraint(kind) {
+        return this.selected[kind] ? { ideal: this.selected[kind] } : undefined;
+    }
+
+    async refreshDevices() {
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        const previous = this.knownDevices;
+        this.knownDevices = new Set(devices.map(device => device.deviceId));
+
+        Object.entries(DEVICE_SELECTS).forEach(([kind, selectId]) => {
+            const select = document.getElementById(selectId);
+            const options = devices.filter(device => device.kind === kind);
+            select.innerHTML = '';
+
+            options.forEach((device, index) => {
+                const option = document.createElement('option');
+                option.value = device.deviceId;
+                option.textContent = device.label || `${kind} ${index + 1}`;
+                select.appendChild(option);
+            });
+
+            // The chosen device was unplugged: fall back to the default one
+            const current = this.selected[kind];
+            if (current && options.length > 0 && !options.some(device => device.deviceId === current)) {
+                this.selectDevice(kind, options[0].deviceId);
+            }
+            if (this.selected[kind]) {
+                select.value = this.selected[kind];
+            }
+
+            if (previous) {
+                options
+                    .filter(device => !previous.has(device.deviceId))
+                    .forEach(device => this.onDeviceAdded(device));
+            }
+        });
+
+        this.syncWithStream();
+    }
+
+    setStream(stream) {
+        this.stream = stream;
+        document.getElementById('settingsPreview').srcObject = stream;
+        this.syncWithStream();
+
+        // The meter is bound to the old microphone track
+        if (this.meter) {
+            this.stopMeter();
+            this.startMeter();
+        }
+    }
+
+    // Show the devices actually in use when nothing was chosen explicitly
+    syncWithStream() {
+        if (!this.stream) return;
+
+        this.stream.getTracks().forEach(track => {
+            const kind = track.kind === 'audio' ? 'audioinput' : 'videoinput';
+            const deviceId = track.getSettings().deviceId;
+            if (deviceId && this.knownDevices && this.knownDevices.has(deviceId)) {
+                document.getElementById(DEVICE_SELECTS[kind]).value = deviceId;
+            }
+        });
+    }
+
+    startMeter() {
+        if (this.meter || !this.stream || this.stream.getAudioTracks().length === 0) return;
+
+        this.meter = new AudioLevelMeter(this.stream);
+        const fill = document.getElementById('micLevel');
+        const draw = () => {
+            fill.style.width = `${Math.round(this.meter.getLevel() * 100)}%`;
+            this.meterFrame = requestAnimationFrame(draw);
+        };
+        draw();
+    }
+
+    stopMeter() {
+        if (!this.meter) return;
+
+        cancelAnimationFrame(this.meterFrame);
+        this.meter.close();
+        this.meter = null;
+        document.getElementById('micLevel').style.width = '0%';
+    }
+}
+
+// Export for use in main.js
+window.DeviceSettings = DeviceSettings;
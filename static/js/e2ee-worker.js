@@ -0,0 +1,156 @@
+// End-to-end Encryption Worker
+// Encrypts every outgoing encoded frame with AES-GCM and decrypts incoming
+// ones, via RTCRtpScriptTransform (or Chrome's encoded streams, handed over by
+// postMessage). The first few bytes of each frame stay in the clear so the
+// VP8/Opus packetizers still work; they're authenticated as additional data.
+//
+// Encrypted frame: header | ciphertext + tag | IV (12 bytes) | key generation (low byte)
+//
+// A few of the newest keys are kept, whichever order they arrive in, so frames
+// sent under a key a peer hasn't moved off yet still decrypt - say when
+// someone joins while a rotation is on its way round. The generation's low
+// byte is enough to pick one out of so few; two keys that share it (a tie
+// between two rotations, or generations 256 apart) are both tried.
+const UNENCRYPTED_BYTES = {
+    key: 10,     // VP8 keyframe header
+    delta: 3,    // VP8 interframe header
+    audio: 1     // Opus TOC byte
+};
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const DECRYPT_FAIL_GRACE_MS = 1000; // key changes can fail a few frames on the way through
+const KEY_WINDOW = 4;
+
+const keys = []; // { generation, owner, key }, oldest generation first
+let sendKey = null;
+const peerStatus = new Map(); // peer id -> { status, lastOk }
+
+self.onmessage = ({ data }) => {
+    if (data.type === 'setKey') {
+        addKey(data);
+    } else if (data.type === 'useKey') {
+        sendKey = findKey(data.generation, data.owner) || sendKey;
+    } else if (data.type === 'transform') {
+        // Chrome without RTCRtpScriptTransform
+        setupTransform(data);
+    }
+};
+
+self.onrtctransform = (event) => {
+    const { readable, writable, options } = event.transformer;
+    setupTransform({ readable, writable, ...options });
+};
+
+function setupTransform({ readable, writable, operation, peerId }) {
+    const transform = new TransformStream({
+        transform: operation === 'encrypt'
+            ? encryptFrame
+            : (frame, controller) => decryptFrame(frame, controller, peerId)
+    });
+    readable.pipeThrough(transform).pipeTo(writable);
+}
+
+function findKey(generation, owner) {
+    return keys.find(entry => entry.generation === generation && entry.owner === owner);
+}
+
+// Every peer hands on the keys it has, so the same one can come more than once
+function addKey({ generation, owner, key }) {
+    if (findKey(generation, owner)) return;
+
+    keys.push({ generation, owner, key });
+    keys.sort((a, b) => a.generation - b.generation);
+    if (keys.length > KEY_WINDOW) {
+        keys.shift();
+    }
+}
+
+function headerLength(frame) {
+    return UNENCRYPTED_BYTES[frame.type] || UNENCRYPTED_BYTES.audio;
+}
+
+async function encryptFrame(frame, controller) {
+    // Nothing leaves unencrypted - not even before the key is ready
+    if (!sendKey || frame.data.byteLength === 0) return;
+    const { key, generation } = sendKey;
+
+    const data = new Uint8Array(frame.data);
+    const header = data.subarray(0, headerLength(frame));
+    const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+
+    const ciphertext = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv, additionalData: header },
+        key,
+        data.subarray(header.length)
+    );
+
+    const output = new Uint8Array(header.length + ciphertext.byteLength + IV_LENGTH + 1);
+    output.set(header, 0);
+    output.set(new Uint8Array(ciphertext), header.length);
+    output.set(iv, header.length + ciphertext.byteLength);
+    output[output.length - 1] = generation % 256;
+
+    frame.data = output.buffer;
+    controller.enqueue(frame);
+}
+
+async function decryptFrame(frame, controller, peerId) {
+    if (frame.data.byteLength === 0) return;
+
+    const data = new Uint8Array(frame.data);
+    const headerSize = headerLength(frame);
+    // Newest first: that's what most frames are under
+    const candidates = keys.filter(entry => entry.generation % 256 === data[data.length - 1]).reverse();
+
+    // Too short to be ours, or a key we don't have: plaintext or the wrong passphrase
+    if (candidates.length === 0 || data.length < headerSize + TAG_LENGTH + IV_LENGTH + 1) {
+        reportFailure(peerId);
+        return;
+    }
+
+    const ivStart = data.length - 1 - IV_LENGTH;
+    for (const { key } of candidates) {
+        try {
+            const plaintext = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: data.subarray(ivStart, ivStart + IV_LENGTH), additionalData: data.subarray(0, headerSize) },
+                key,
+                data.subarray(headerSize, ivStart)
+            );
+
+            const output = new Uint8Array(headerSize + plaintext.byteLength);
+            output.set(data.subarray(0, headerSize), 0);
+            output.set(new Uint8Array(plaintext), headerSize);
+            frame.data = output.buffer;
+            controller.enqueue(frame);
+            reportSuccess(peerId);
+            return;
+        } catch (error) {
+            // Not this key; try the next
+        }
+    }
+
+    // Dropped rather than passed on, so the decoder never sees garbage
+    reportFailure(peerId);
+}
+
+// Status messages go out only on changes, not per frame
+function reportSuccess(peerId) {
+    const state = peerStatus.get(peerId) || { status: null, lastOk: 0 };
+    state.lastOk = Date.now();
+    peerStatus.set(peerId, state);
+
+    if (state.status !== 'ok') {
+        state.status = 'ok';
+        self.postMessage({ type: 'status', peerId, status: 'ok' });
+    }
+}
+
+function reportFailure(peerId) {
+    const state = peerStatus.get(peerId) || { status: null, lastOk: Date.now() };
+    peerStatus.set(peerId, state);
+
+    if (state.status !== 'failed' && Date.now() - state.lastOk > DECRYPT_FAIL_GRACE_MS) {
+        state.status = 'failed';
+        self.postMessage({ type: 'status', peerId, status: 'failed' });
+    }
+}
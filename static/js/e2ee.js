@@ -0,0 +1,255 @@
+// End-to-end Encryption
+// Opt-in encryption of every media frame between participants, on top of
+// DTLS-SRTP, so nothing between the browsers - a relay, or any SFU we add -
+// sees plain media. The key comes from a room passphrase that never leaves
+// the browser: PBKDF2 over the passphrase (salted with the room name) gives
+// the first media key and a wrapping key.
+//
+// When someone leaves, the remaining participant with the lowest id picks a
+// new random media key and sends it to each peer over a data channel between
+// the two of them, wrapped with the passphrase's key. Whoever left isn't on
+// any of those channels, so they can't follow along. Newcomers get the current
+// key the same way. Every key has a generation, counting rotations, and only
+// a newer one is taken up - the passphrase's key is generation 0, so nobody
+// can be moved back onto a key that whoever left could derive again. Older
+// ones still go to the worker, but only to decrypt frames already under them.
+const E2EE_WORKER_URL = '/static/js/e2ee-worker.js';
+const E2EE_KEY_CHANNEL_ID = 1;       // negotiated channel, next to the chat's
+const E2EE_PBKDF2_ITERATIONS = 100000;
+const E2EE_KEY_SWITCH_MS = 1000;     // time for a new key to reach everyone before it's used
+
+class MediaEncryption {
+    constructor({ getSelfId, onPeerStatus, onStatus } = {}) {
+        this.getSelfId = getSelfId;
+        this.onPeerStatus = onPeerStatus || (() => {}); // (peerId, 'ok' | 'failed')
+        this.onStatus = onStatus || (() => {});         // (message, type)
+        this.worker = null;
+        this.wrapKey = null;
+        this.generation = 0;         // rotations so far; with keyOwner, orders keys
+        this.keyOwner = null;        // who made the current key, breaks ties between generations
+        this.rawKey = null;          // current media key, to hand on to newcomers
+        this.channels = new Map();   // participant id -> RTCDataChannel
+        this.transformed = new WeakSet(); // senders and receivers already given a transform
+        this.switchTimer = null;
+    }
+
+    static isSupported() {
+        return 'RTCRtpScriptTransform' in window || 'createEncodedStreams' in RTCRtpSender.prototype;
+    }
+
+    // Chrome's encoded streams have to be asked for when the connection is made
+    static get needsEncodedStreams() {
+        return !('RTCRtpScriptTransform' in window);
+    }
+
+    get enabled() {
+        return this.wrapKey !== null;
+    }
+
+    // Call before joining; an empty passphrase leaves encryption off
+    async setPassphrase(passphrase, room) {
+        this.clear();
+        if (!passphrase) return;
+
+        const material = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveBits']
+        );
+        const bits = new Uint8Array(await crypto.subtle.deriveBits({
+            name: 'PBKDF2',
+            salt: new TextEncoder().encode(`simpleconfer:${room}`),
+            iterations: E2EE_PBKDF2_ITERATIONS,
+            hash: 'SHA-256'
+        }, material, 512));
+
+        this.wrapKey = await crypto.subtle.importKey('raw', bits.slice(32), 'AES-GCM', false, ['encrypt', 'decrypt']);
+        this.worker = new Worker(E2EE_WORKER_URL);
+        this.worker.onmessage = ({ data }) => {
+            if (data.type === 'status') {
+                this.onPeerStatus(data.peerId, data.status);
+            }
+        };
+        await this.setKey(bits.slice(0, 32), 0, null);
+        this.useKey(0, null);
+        console.log('🔐 End-to-end encryption on');
+    }
+
+    clear() {
+        clearTimeout(this.switchTimer);
+        this.switchTimer = null;
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.wrapKey = null;
+        this.rawKey = null;
+        this.generation = 0;
+        this.keyOwner = null;
+        this.channels.clear();
+    }
+
+    // The worker keeps a few keys, by generation and owner, to decrypt with
+    async addKey(rawKey, generation, owner) {
+        const key = await crypto.subtle.importKey('raw', rawKey, 'AES-GCM', false, ['encrypt', 'decrypt']);
+        this.worker.postMessage({ type: 'setKey', generation, owner, key });
+    }
+
+    // Our current key, which newcomers are given and we switch to sending with
+    async setKey(rawKey, generation, owner) {
+        await this.addKey(rawKey, generation, owner);
+        this.generation = generation;
+        this.keyOwner = owner;
+        this.rawKey = rawKey;
+    }
+
+    // Two people rotating at once make the same generation; the lower id wins
+    isNewer(generation, owner) {
+        return generation > this.generation ||
+            (generation === this.generation && this.keyOwner !== null && owner < this.keyOwner);
+    }
+
+    // The generation and sender are authenticated along with the wrapped key
+    static keyLabel(generation, owner) {
+        return new TextEncoder().encode(`${generation}:${owner}`);
+    }
+
+    useKey(generation, owner) {
+        this.worker.postMessage({ type: 'useKey', generation, owner });
+    }
+
+    // Transforms for a peer connection's senders and receivers; the connection
+    // must be made with encodedInsertableStreams where needsEncodedStreams
+    protectSender(peerConnection, sender) {
+        if (!this.enabled) return;
+
+        // Only VP8 keeps working with its payload encrypted behind a clear header
+        const transceiver = peerConnection.getTransceivers().find(t => t.sender === sender);
+        if (sender.track && sender.track.kind === 'video' && transceiver && transceiver.setCodecPreferences) {
+            const codecs = RTCRtpReceiver.getCapabilities('video').codecs;
+            transceiver.setCodecPreferences([
+                ...codecs.filter(codec => codec.mimeType === 'video/VP8'),
+                ...codecs.filter(codec => codec.mimeType !== 'video/VP8')
+            ]);
+        }
+        this.attachTransform(sender, { operation: 'encrypt' });
+    }
+
+    protectReceiver(receiver, peerId) {
+        if (!this.enabled) return;
+        this.attachTransform(receiver, { operation: 'decrypt', peerId });
+    }
+
+    attachTransform(senderOrReceiver, options) {
+        // Renegotiation can hand back a sender or receiver we've seen
+        if (this.transformed.has(senderOrReceiver)) return;
+        this.transformed.add(senderOrReceiver);
+
+        if (!MediaEncryption.needsEncodedStreams) {
+            senderOrReceiver.transform = new RTCRtpScriptTransform(this.worker, options);
+            return;
+        }
+
+        const { readable, writable } = senderOrReceiver.createEncodedStreams();
+        this.worker.postMessage({ type: 'transform', readable, writable, ...options }, [readable, writable]);
+    }
+
+    // Key distribution rides on its own data channel with each peer
+    addPeer(peerId, peerConnection) {
+        if (!this.enabled) return;
+
+        const channel = peerConnection.createDataChannel('e2ee-keys', {
+            negotiated: true,
+            id: E2EE_KEY_CHANNEL_ID
+        });
+        channel.onopen = () => this.sendKey(channel);
+        channel.onmessage = (event) => this.receiveKey(JSON.parse(event.data));
+        this.channels.set(peerId, channel);
+    }
+
+    removePeer(peerId) {
+        this.channels.delete(peerId);
+    }
+
+    // Someone left: if we're the one to do it, move everyone to a new key
+    async rotateKey() {
+        if (!this.enabled) return;
+
+        const ids = [this.getSelfId(), ...this.channels.keys()].sort();
+        if (ids[0] !== this.getSelfId()) return;
+
+        const generation = this.generation + 1;
+        await this.setKey(crypto.getRandomValues(new Uint8Array(32)), generation, this.getSelfId());
+        this.channels.forEach(channel => this.sendKey(channel));
+        this.scheduleSwitch(generation, this.getSelfId());
+        console.log(`🔐 Rotated the media key (${generation})`);
+    }
+
+    // Everyone with the passphrase already has generation 0, so only rotated keys go out
+    async sendKey(channel) {
+        if (channel.readyState !== 'open' || !this.rawKey || this.generation === 0) return;
+
+        const { generation, keyOwner: owner } = this;
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const wrapped = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv, additionalData: MediaEncryption.keyLabel(generation, owner) },
+            this.wrapKey,
+            this.rawKey
+        );
+        channel.send(JSON.stringify({
+            generation,
+            owner,
+            iv: MediaEncryption.toBase64(iv),
+            key: MediaEncryption.toBase64(new Uint8Array(wrapped))
+        }));
+    }
+
+    async receiveKey(message) {
+        if (!this.enabled || !Number.isInteger(message.generation) || message.generation < 1) return;
+
+        try {
+            const rawKey = new Uint8Array(await crypto.subtle.decrypt(
+                {
+                    name: 'AES-GCM',
+                    iv: MediaEncryption.fromBase64(message.iv),
+                    additionalData: MediaEncryption.keyLabel(message.generation, message.owner)
+                },
+                this.wrapKey,
+                MediaEncryption.fromBase64(message.key)
+            ));
+            // Older keys, ours coming back, or a newcomer's: never go back to
+            // them, but frames may still be on their way under them. A newer key
+            // may also have arrived while this one was being unwrapped.
+            if (!this.isNewer(message.generation, message.owner)) {
+                await this.addKey(rawKey, message.generation, message.owner);
+                return;
+            }
+            await this.setKey(rawKey, message.generation, message.owner);
+            this.scheduleSwitch(message.generation, message.owner);
+        } catch (error) {
+            // Sent by someone with a different passphrase
+            console.warn('⚠️ Could not unwrap a media key:', error);
+            this.onStatus('A participant is using a different passphrase', 'warning');
+        }
+    }
+
+    // Receivers need the key before frames arrive under it
+    scheduleSwitch(generation, owner) {
+        clearTimeout(this.switchTimer);
+        this.switchTimer = setTimeout(() => {
+            this.switchTimer = null;
+            if (this.worker) {
+                this.useKey(generation, owner);
+            }
+        }, E2EE_KEY_SWITCH_MS);
+    }
+
+    static toBase64(bytes) {
+        return btoa(String.fromCharCode(...bytes));
+    }
+
+    static fromBase64(text) {
+        return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+    }
+}
+
+// Export for use in main.js
+window.MediaEncryption = MediaEncryption;
@@ -0,0 +1,127 @@
+// Keyboard Shortcuts
+// Single keys for the call controls, ignored while typing in a field or when
+// a modifier other than Shift is held. Letters match either case, so Caps
+// Lock doesn't get in the way; ending the call needs Shift so it can't happen
+// by accident. Holding Space while muted talks until it's released - unless
+// a button, link or summary has focus, which Space still presses as usual.
+// "?" opens a help overlay listing them all.
+const KEYBOARD_SHORTCUTS = [
+    { key: 'm', shift: false, label: 'M', action: 'toggleAudio', description: 'Mute or unmute' },
+    { key: 'v', shift: false, label: 'V', action: 'toggleVideo', description: 'Stop or start video' },
+    { key: 'l', shift: false, label: 'L', action: 'toggleLowData', description: 'Low data mode on or off' },
+    { key: 'e', shift: true, label: 'Shift+E', action: 'endCall', description: 'End the call' },
+    { key: ' ', label: 'Space (hold)', action: 'pushToTalk', description: 'Push to talk while muted' },
+    { key: '?', label: '?', action: 'help', description: 'Show these shortcuts' }
+];
+
+class KeyboardShortcuts {
+    constructor({ actions = {}, isMuted, onPushToTalk } = {}) {
+        this.actions = actions;                           // action name -> () => void
+        this.isMuted = isMuted || (() => false);          // push-to-talk only works while muted
+        this.onPushToTalk = onPushToTalk || (() => {});   // (talking)
+        this.talking = false;
+        this.lastFocus = null;
+
+        this.renderHelp();
+        this.setupUIEventListeners();
+    }
+
+    static isTyping(event) {
+        const target = event.target;
+        return target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+    }
+
+    // Elements Space activates natively
+    static isPressable(event) {
+        return event.target.closest('button, summary, a[href], [role="button"]') !== null;
+    }
+
+    setupUIEventListeners() {
+        document.addEventListener('keydown', (event) => this.handleKeyDown(event));
+        document.addEventListener('keyup', (event) => this.handleKeyUp(event));
+        // Letting go of Space in another window never reaches us
+        window.addEventListener('blur', () => this.stopTalking());
+
+        document.getElementById('showShortcuts').onclick = () => this.openHelp();
+        document.getElementById('closeShortcuts').onclick = () => this.closeHelp();
+    }
+
+    handleKeyDown(event) {
+        if (event.key === 'Escape' && this.isHelpOpen) {
+            this.closeHelp();
+            return;
+        }
+        if (event.ctrlKey || event.metaKey || event.altKey || KeyboardShortcuts.isTyping(event)) return;
+
+        const shortcut = KEYBOARD_SHORTCUTS.find(entry =>
+            entry.key === event.key.toLowerCase() && (entry.shift === undefined || entry.shift === event.shiftKey)
+        );
+        if (!shortcut) return;
+        // Unmuted, or on something Space presses, Space keeps its usual job
+        if (shortcut.action === 'pushToTalk' &&
+            (KeyboardShortcuts.isPressable(event) || !(this.talking || this.isMuted()))) return;
+
+        // Space would otherwise scroll the page
+        event.preventDefault();
+        if (event.repeat) return;
+
+        if (shortcut.action === 'pushToTalk') {
+            this.talking = true;
+            this.onPushToTalk(true);
+        } else if (shortcut.action === 'help') {
+            this.isHelpOpen ? this.closeHelp() : this.openHelp();
+        } else if (this.actions[shortcut.action]) {
+            this.actions[shortcut.action]();
+        }
+    }
+
+    handleKeyUp(event) {
+        if (event.key === ' ' && this.talking) {
+            event.preventDefault();
+            this.stopTalking();
+        }
+    }
+
+    stopTalking() {
+        if (!this.talking) return;
+        this.talking = false;
+        this.onPushToTalk(false);
+    }
+
+    get isHelpOpen() {
+        return !document.getElementById('shortcutHelp').classList.contains('hidden');
+    }
+
+    openHelp() {
+        this.lastFocus = document.activeElement;
+        document.getElementById('shortcutHelp').classList.remove('hidden');
+        document.getElementById('closeShortcuts').focus();
+    }
+
+    closeHelp() {
+        document.getElementById('shortcutHelp').classList.add('hidden');
+        if (this.lastFocus) {
+            this.lastFocus.focus();
+            this.lastFocus = null;
+        }
+    }
+
+    renderHelp() {
+        const list = document.getElementById('shortcutList');
+        list.innerHTML = '';
+
+        KEYBOARD_SHORTCUTS.forEach(shortcut => {
+            const key = document.createElement('dt');
+            const kbd = document.createElement('kbd');
+            kbd.textContent = shortcut.label;
+            key.appendChild(kbd);
+
+            const description = document.createElement('dd');
+            description.textContent = shortcut.description;
+            list.append(key, description);
+        });
+    }
+}
+
+// Export for use in main.js
+window.KeyboardShortcuts = KeyboardShortcuts;
@@ -1,60 +1,327 @@
-// Main Application Logic
+import { Call, CALL_STATES, NetworkQualityMonitor } from './sdk/index.js';
+
+// Capture settings; the chosen deviceId is added on top
+const VIDEO_CONSTRAINTS = {
+    width: { ideal: 1280 },
+    height: { ideal: 720 },
+    frameRate: { ideal: 30 }
+};
+
+const AUDIO_CONSTRAINTS = {
+    echoCancellation: true,
+    noiseSuppression: true,
+    autoGainControl: true
+};
+
+// Low data mode tiers. Audio-only tiers stop the video sender outright and
+// ask the other participants to stop sending video to us.
+const LOW_DATA_TIERS = {
+    off: { label: 'Off', video: true },
+    reduced: {
+        label: 'Reduced video',
+        video: true,
+        videoLimit: { maxBitrate: 150000, scaleResolutionDownBy: 4, maxFramerate: 10 }
+    },
+    'audio-only': { label: 'Audio only', video: false },
+    'low-audio': { label: 'Audio only, low bitrate', video: false, audioBitrate: 16000 } // Opus still intelligible
+};
+
+// How long a caption stays over a participant's video
+const CAPTION_DISPLAY_MS = 5000;
+
+// How long "you're muted" stays up after we last heard you
+const MUTED_WARNING_MS = 4000;
+
+// Secret this tab reconnects with, so the server knows it's still the same
+// participant. Per tab, so two tabs are two participants.
+const CLIENT_ID_KEY = 'simpleconfer.clientId';
+
+// Main Application Logic - the page, as one consumer of the SDK's Call
 class SimpleConfer {
     constructor() {
-        this.socket = io();
+        this.socket = io({ auth: { clientId: SimpleConfer.loadClientId() } });
+        this.call = new Call({
+            socket: this.socket,
+            getLocalStream: () => this.localStream,
+            getRelayOnly: () => document.getElementById('relayOnly').checked,
+            getPeerConfiguration: () => ({
+                encodedInsertableStreams: this.encryption.enabled && MediaEncryption.needsEncodedStreams
+            })
+        });
+        this.announcer = new Announcer(document.getElementById('liveRegion'));
         this.localStream = null;
-        this.remoteStream = null;
-        this.peerConnection = null;
-        this.networkMonitor = null;
-        this.isLowDataMode = false;
+        this.peers = new Map(); // participant id -> remote tile and what we send them, see handlePeerAdded
+        this.networkCharts = new NetworkCharts();
+        this.networkPanel = new NetworkPanel({
+            onAnnounce: (message) => this.announcer.announce(message)
+        });
+        this.lowDataTier = 'off'; // see LOW_DATA_TIERS
+        this.dataUsed = { sent: 0, received: 0 }; // RTP bytes this call
+        this.lastBytes = new Map(); // participant id -> byte counters from its last sample
         this.isAudioMuted = false;
         this.isVideoStopped = false;
+        this.isPushingToTalk = false; // unmuted only while Space is held
+        this.screenStream = null;
+        this.sendCameraWithScreen = false;
+        this.roster = new ParticipantRoster({
+            onHostAction: (action, sid) => this.roomAccess.hostAction(action, sid)
+        });
+        this.roomAccess = new RoomAccess(this.socket, {
+            getRoom: () => this.getCurrentRoom(),
+            getSelfId: () => this.selfId,
+            roster: this.roster,
+            onLobby: () => this.showStatus('Waiting for the host to let you in...', 'info'),
+            onAdmitted: () => this.showStatus('The host let you in', 'success'),
+            onRejected: (message) => this.endCall({ state: 'rejected', message, type: 'error' }),
+            onRemoved: (host) => this.endCall({ message: `${host} removed you from the call`, type: 'warning' }),
+            onForceMute: (host) => {
+                if (!this.isAudioMuted) {
+                    this.toggleAudio();
+                }
+                this.showStatus(`${host} muted you`, 'warning');
+            }
+        });
+        this.isSpeaking = false;
+        this.speakingTrack = null; // always-enabled copy of the mic, see startSpeakingDetection
+        this.mutedWarningTimer = null;
+        this.speakerDetector = new ActiveSpeakerDetector({
+            onSpeakingChange: (id, speaking) => this.handleSpeakingChange(id, speaking),
+            onActiveSpeakerChange: (id) => this.highlightActiveSpeaker(id)
+        });
+        this.transcription = new TranscriptionController(this.socket, {
+            getRoom: () => this.getCurrentRoom(),
+            getUsername: () => this.getUsername(),
+            getSelfId: () => this.selfId,
+            onCaption: (sid, text, isFinal) => this.showCaption(sid, text, isFinal)
+        });
+        this.transcriptPanel = new TranscriptPanel(this.socket, {
+            download: (filename, content, type) => this.downloadFile(filename, content, type)
+        });
+        this.chat = new ChatPanel(this.socket, {
+            getRoom: () => this.getCurrentRoom(),
+            getUsername: () => this.getUsername(),
+            getSelfId: () => this.selfId,
+            getParticipantName: (sid) => (this.roster.get(sid) || {}).username,
+            onStatus: (message, type) => this.showStatus(message, type)
+        });
+        this.encryption = new MediaEncryption({
+            getSelfId: () => this.selfId,
+            onPeerStatus: (peerId, status) => {
+                const peer = this.peers.get(peerId);
+                if (peer) {
+                    peer.decryptStatus = status;
+                    this.updateEncryptionStatus(peerId);
+                }
+            },
+            onStatus: (message, type) => this.showStatus(message, type)
+        });
+        this.recorder = new CallRecorder(this.socket, {
+            getRoom: () => this.getCurrentRoom(),
+            getSelfId: () => this.selfId,
+            getSources: () => this.getRecordingSources(),
+            download: (filename, content, type) => this.downloadFile(filename, content, type),
+            onStatus: (message, type) => this.showStatus(message, type)
+        });
+        this.precallCheck = new PreCallCheck({
+            getStream: () => this.localStream,
+            getIceConfiguration: () => this.call.getIceConfiguration(),
+            createMonitor: () => new NetworkQualityMonitor(this.socket, { reportTelemetry: false }),
+            onUseLowData: () => this.setLowDataTier('audio-only')
+        });
+        this.videoEffects = new VideoEffects({
+            onChange: () => this.applyVideoEffects(),
+            onStatus: (message, type) => this.showStatus(message, type)
+        });
+        this.shortcuts = new KeyboardShortcuts({
+            actions: {
+                toggleAudio: () => this.toggleAudio(),
+                toggleVideo: () => this.toggleVideo(),
+                toggleLowData: () => this.toggleLowDataMode(),
+                endCall: () => {
+                    if (this.isInCall) {
+                        this.endCall();
+                    }
+                }
+            },
+            isMuted: () => this.isAudioMuted,
+            onPushToTalk: (talking) => this.pushToTalk(talking)
+        });
+        this.deviceSettings = new DeviceSettings({
+            onDeviceChange: (kind, deviceId) => this.switchDevice(kind, deviceId),
+            onDeviceAdded: (device) => this.showStatus(`New device available: ${device.label || device.kind}`, 'info')
+        });
         
         this.init();
     }
 
+    static loadClientId() {
+        let clientId = sessionStorage.getItem(CLIENT_ID_KEY);
+        if (!clientId) {
+            clientId = crypto.randomUUID();
+            sessionStorage.setItem(CLIENT_ID_KEY, clientId);
+        }
+        return clientId;
+    }
+
     async init() {
         console.log('🚀 Initializing SimpleConfer...');
         
+        this.setupCallListeners();
         this.setupSocketListeners();
         this.setupUIEventListeners();
+        this.updateCallUI();
         
         try {
             // Get user media
             await this.getUserMedia();
             console.log('✅ Camera and microphone access granted');
+            
+            // Device labels are only available once access is granted
+            await this.deviceSettings.refreshDevices();
         } catch (error) {
             console.error('❌ Error accessing media devices:', error);
             this.showStatus('Camera/microphone access denied. Please allow access and refresh.', 'error');
         }
     }
 
-    setupSocketListeners() {
-        this.socket.on('connected', (data) => {
-            console.log('✅ Connected to signaling server');
-            this.showStatus('Connected to server', 'success');
+    get selfId() {
+        return this.call.selfId;
+    }
+
+    get isInCall() {
+        return this.call.isInCall;
+    }
+
+    get isLowDataMode() {
+        return this.lowDataTier !== 'off';
+    }
+
+    setupCallListeners() {
+        this.call.addEventListener('state-changed', () => this.updateCallUI());
+        this.call.addEventListener('status', ({ detail }) => this.showStatus(detail.message, detail.type));
+
+        this.call.addEventListener('connected', ({ detail }) => {
+            if (!detail.reconnected) {
+                this.showStatus('Connected to server', 'success');
+                return;
+            }
+            
+            document.getElementById('reconnectBanner').classList.add('hidden');
+            if (!this.isInCall) {
+                this.showStatus('Reconnected to server', 'success');
+                return;
+            }
+            
+            // We were away too long and the room dropped us, so the call starts over.
+            // A recording carries on; the recorder tells the room once we're back in.
+            if (!detail.resumed) {
+                this.roster.clear();
+                this.roomAccess.clear();
+                this.recorder.clear();
+            }
+            this.showStatus(detail.resumed ? 'Reconnected - resuming the call' : 'Reconnected - rejoining the call', 'success');
         });
 
-        this.socket.on('user_joined', (data) => {
-            this.showStatus(`${data.username} joined the room (${data.participants} participants)`, 'info');
+        this.call.addEventListener('disconnected', () => {
+            document.getElementById('reconnectBanner').classList.remove('hidden');
         });
 
-        this.socket.on('user_left', (data) => {
-            this.showStatus('User left the room', 'info');
+        this.call.addEventListener('participants', ({ detail }) => {
+            this.roster.setSnapshot(detail.participants, this.selfId);
         });
 
-        this.socket.on('offer', async (data) => {
-            console.log('📞 Received call offer');
-            await this.handleOffer(data);
+        this.call.addEventListener('participant-joined', ({ detail }) => {
+            this.roster.add(detail.participant);
+            this.showStatus(`${detail.participant.username} joined the room (${detail.count} participants)`, 'info');
+            
+            // Newcomers missed our earlier announcement
+            if (this.screenStream) {
+                this.announceScreenShare(true);
+            }
+        });
+
+        this.call.addEventListener('participant-left', ({ detail }) => {
+            this.roster.remove(detail.id);
+            this.showStatus(`${detail.username} left the room (${detail.count} participants)`, 'info');
+            
+            // They knew the media key, so it changes
+            this.encryption.rotateKey();
+        });
+
+        this.call.addEventListener('participant-updated', ({ detail }) => {
+            const { id, changes } = detail;
+            const participant = this.roster.update(id, changes);
+            const peer = this.peers.get(id);
+            
+            // Show "Audio Only" over peers that aren't sending video
+            if (participant && peer) {
+                const audioOnly = participant.low_data && !LOW_DATA_TIERS[participant.low_data]?.video;
+                peer.tile.querySelector('.video-overlay')
+                    .classList.toggle('hidden', !participant.video_stopped && !audioOnly);
+            }
+            
+            // They switched to an audio-only tier, or back
+            if (peer && 'receive_video' in changes) {
+                this.updateVideoSending(id);
+            }
+            
+            if ('e2ee' in changes) {
+                this.updateEncryptionStatus(id);
+            }
+        });
+
+        this.call.addEventListener('peer-added', ({ detail }) => this.handlePeerAdded(detail.id, detail.peer));
+        this.call.addEventListener('peer-state-changed', ({ detail }) => {
+            this.handlePeerStateChange(detail.id, detail.peer, detail.state);
+        });
+        this.call.addEventListener('peer-removed', ({ detail }) => this.handlePeerRemoved(detail.id));
+        this.call.addEventListener('track-added', ({ detail }) => this.handleTrack(detail));
+
+        this.call.addEventListener('quality-sample', ({ detail: sample }) => {
+            this.networkPanel.showSample(sample);
+            this.networkCharts.addSample(sample);
+            this.updateConnectionType(sample);
+            this.updateDataUsed(sample);
+        });
+
+        this.call.addEventListener('quality-changed', ({ detail }) => {
+            this.roster.update(this.selfId, { quality: detail.quality });
+            this.networkPanel.announceQuality(detail.quality, detail.recommendation);
+        });
+
+        this.call.addEventListener('adaptation', ({ detail }) => {
+            this.networkPanel.logAdaptation(detail.id, detail.previous, detail.step);
+        });
+
+        // Our own captions are shown as we speak
+        this.call.addEventListener('transcript', ({ detail }) => {
+            if (detail.id !== this.selfId) {
+                this.showCaption(detail.id, detail.text, true);
+                this.announcer.announce(`${detail.username}: ${detail.text}`);
+            }
         });
+    }
 
-        this.socket.on('answer', async (data) => {
-            console.log('📞 Received call answer');
-            await this.handleAnswer(data);
+    setupSocketListeners() {
+        // A duplicated tab arrives with a copy of our token; the server gives it its own.
+        // The resume key proves a reconnect is this page and not such a copy, so
+        // it's only ever kept in memory.
+        this.socket.on('connected', (data) => {
+            if (data.client_id) {
+                sessionStorage.setItem(CLIENT_ID_KEY, data.client_id);
+                this.socket.auth.clientId = data.client_id;
+            }
+            this.socket.auth.resumeKey = data.resume_key;
         });
 
-        this.socket.on('ice_candidate', async (data) => {
-            await this.handleIceCandidate(data);
+        this.socket.on('host_changed', (data) => {
+            const who = data.sid === this.selfId ? 'You are' : `${data.username} is`;
+            this.showStatus(`${who} now the host`, 'info');
+        });
+
+        this.socket.on('screen_share', (data) => {
+            this.setPresenter(data.sid, data.sharing);
+            this.showStatus(`${data.username} ${data.sharing ? 'started' : 'stopped'} sharing their screen`, 'info');
         });
 
         this.socket.on('low_data_mode_update', (data) => {
@@ -73,273 +340,591 @@ class SimpleConfer {
         
         // Low data mode (YOUR HANDWRITTEN REQUIREMENT!)
         document.getElementById('lowDataMode').onclick = () => this.toggleLowDataMode();
+        document.getElementById('lowDataTier').addEventListener('change', (event) => {
+            if (this.isLowDataMode) {
+                this.setLowDataTier(event.target.value);
+            }
+        });
         
-        // Room management
-        document.getElementById('roomInput').addEventListener('change', () => {
-            this.joinRoom();
+        // Screen sharing
+        document.getElementById('shareScreen').onclick = () => this.toggleScreenShare();
+        
+        // Room management - the room is joined when the call starts. Switching
+        // rooms mid-call leaves the old room's call before starting the new one,
+        // so none of its peer connections linger.
+        document.getElementById('roomInput').addEventListener('change', async () => {
+            if (!this.isInCall) return;
+            await this.endCall({ message: `Moving to room ${this.getCurrentRoom()}` });
+            await this.startCall();
+        });
+        
+        // Diagnostics
+        document.getElementById('downloadDiagnostics').onclick = () => this.downloadDiagnostics();
+        document.getElementById('diagnosticsFile').addEventListener('change', (event) => {
+            this.loadDiagnostics(event.target.files[0]);
+            event.target.value = '';
         });
     }
 
     async getUserMedia() {
         const constraints = {
-            video: {
-                width: { ideal: 1280 },
-                height: { ideal: 720 },
-                frameRate: { ideal: 30 }
-            },
-            audio: {
-                echoCancellation: true,
-                noiseSuppression: true,
-                autoGainControl: true
-            }
+            video: { ...VIDEO_CONSTRAINTS, deviceId: this.deviceSettings.getConstraint('videoinput') },
+            audio: { ...AUDIO_CONSTRAINTS, deviceId: this.deviceSettings.getConstraint('audioinput') }
         };
 
         this.localStream = await navigator.mediaDevices.getUserMedia(constraints);
         document.getElementById('localVideo').srcObject = this.localStream;
+        this.deviceSettings.setStream(this.localStream);
+        await this.applyVideoEffects();
         
         this.showStatus('Ready to start call', 'success');
     }
 
+    // The password and lobby only matter to whoever opens the room
     joinRoom() {
-        const room = document.getElementById('roomInput').value || 'default';
-        const username = document.getElementById('usernameInput').value || 'Anonymous';
+        this.call.join({
+            room: this.getCurrentRoom(),
+            username: this.getUsername(),
+            password: document.getElementById('roomPassword').value,
+            lobby: document.getElementById('requireLobby').checked,
+            presence: {
+                audio_muted: this.isAudioMuted,
+                video_stopped: this.isVideoStopped,
+                low_data: this.isLowDataMode ? this.lowDataTier : false,
+                receive_video: LOW_DATA_TIERS[this.lowDataTier].video,
+                e2ee: this.encryption.enabled // never the passphrase itself
+            }
+        });
+        
+        this.startSpeakingDetection();
+    }
+
+    // Presence - tell the room about changes to our own state
+    broadcastState(changes) {
+        this.roster.update(this.selfId, changes);
+        this.call.setPresence(changes);
+    }
+
+    // Our own voice, for the roster's speaking flag and the active speaker.
+    // The meter gets its own enabled copy of the mic track so it still hears
+    // us while muted - that's what powers the "you're muted" warning.
+    startSpeakingDetection() {
+        const audioTrack = this.localStream ? this.localStream.getAudioTracks()[0] : null;
+        if (this.speakingTrack || !audioTrack) return;
+        
+        this.speakingTrack = audioTrack.clone();
+        this.speakingTrack.enabled = true;
+        this.speakerDetector.addStream('local', new MediaStream([this.speakingTrack]));
+        this.speakerDetector.setMuted('local', this.isAudioMuted);
+    }
+
+    stopSpeakingDetection() {
+        if (!this.speakingTrack) return;
+        
+        this.speakerDetector.removeStream('local');
+        this.speakingTrack.stop();
+        this.speakingTrack = null;
+        this.isSpeaking = false;
+        this.hideMutedWarning();
+    }
+
+    handleSpeakingChange(id, speaking) {
+        // Remote participants report their own speaking state
+        if (id !== 'local') return;
         
-        this.socket.emit('join_room', { room, username });
+        if (this.isAudioMuted) {
+            if (speaking) {
+                this.showMutedWarning();
+            }
+            return;
+        }
+        this.setSpeaking(speaking);
+    }
+
+    setSpeaking(speaking) {
+        if (speaking !== this.isSpeaking) {
+            this.isSpeaking = speaking;
+            this.broadcastState({ speaking });
+        }
+    }
+
+    highlightActiveSpeaker(id) {
+        document.querySelectorAll('.video-wrapper.active-speaker')
+            .forEach(tile => tile.classList.remove('active-speaker'));
+        
+        const tile = id === 'local'
+            ? document.getElementById('localVideo').closest('.video-wrapper')
+            : this.peers.get(id)?.tile;
+        if (tile) {
+            tile.classList.add('active-speaker');
+        }
+    }
+
+    showMutedWarning() {
+        const warning = document.getElementById('mutedWarning');
+        warning.classList.remove('hidden');
+        
+        clearTimeout(this.mutedWarningTimer);
+        this.mutedWarningTimer = setTimeout(() => warning.classList.add('hidden'), MUTED_WARNING_MS);
+    }
+
+    hideMutedWarning() {
+        clearTimeout(this.mutedWarningTimer);
+        document.getElementById('mutedWarning').classList.add('hidden');
     }
 
     async startCall() {
         try {
             console.log('📞 Starting call...');
+            const passphrase = document.getElementById('e2eePassphrase').value;
+            if (passphrase && !MediaEncryption.isSupported()) {
+                this.showStatus('End-to-end encryption is not supported in this browser', 'error');
+                return;
+            }
+            
             this.showStatus('Starting call...', 'info');
+            this.precallCheck.cancel();
+            this.call.start();
+            this.networkCharts.clear();
+            this.resetDataUsed();
             
-            // Join room first
+            // Keys must be ready before the first peer connection
+            await this.encryption.setPassphrase(passphrase, this.getCurrentRoom());
+
+            // Join room - the server replies with the participants to call
             this.joinRoom();
-            
-            // Create peer connection
-            await this.createPeerConnection();
-            
-            // Start network monitoring
-            this.startNetworkMonitoring();
-            
-            // Create and send offer
-            const offer = await this.peerConnection.createOffer({
-                offerToReceiveAudio: true,
-                offerToReceiveVideo: true
-            });
-            
-            await this.peerConnection.setLocalDescription(offer);
-            
-            this.socket.emit('offer', {
-                room: this.getCurrentRoom(),
-                offer: offer
-            });
-            
+
             this.showStatus('Calling...', 'info');
-            console.log('📤 Sent call offer');
-            
+
         } catch (error) {
             console.error('❌ Error starting call:', error);
             this.showStatus('Error starting call', 'error');
         }
     }
 
-    async createPeerConnection() {
-        const configuration = {
-            iceServers: [
-                { urls: 'stun:stun.l.google.com:19302' },
-                { urls: 'stun:stun1.l.google.com:19302' },
-                { urls: 'stun:stun2.l.google.com:19302' }
-            ]
-        };
+    updateCallUI() {
+        const state = CALL_STATES[this.call.state];
 
-        this.peerConnection = new RTCPeerConnection(configuration);
+        document.getElementById('startCall').disabled = state.inCall;
+        document.getElementById('endCall').disabled = !state.inCall;
+        document.getElementById('runPrecallCheck').disabled = state.inCall;
+        document.getElementById('recordCall').disabled = !state.inCall || !CallRecorder.isSupported();
+        document.getElementById('e2eePassphrase').disabled = state.inCall;
 
-        // Add local stream tracks
-        if (this.localStream) {
-            this.localStream.getTracks().forEach(track => {
-                this.peerConnection.addTrack(track, this.localStream);
-            });
-        }
+        const callState = document.getElementById('callState');
+        callState.textContent = state.label;
+        callState.className = `call-state call-state-${this.call.state}`;
+    }
 
-        // Handle remote stream
-       this.peerConnection.ontrack = event => {
-  console.log("Received remote stream");
-  this.remoteStream = event.streams[0];
-  document.getElementById("remoteVideo").srcObject = this.remoteStream;
-  this.showStatus("Call connected!", "success");
-};
+    createRemoteTile(peerId, username) {
+        const tile = document.createElement('div');
+        tile.className = 'video-wrapper';
+        tile.id = `peer-${peerId}`;
 
+        const title = document.createElement('h3');
+        title.textContent = username || 'Remote Participant';
 
-        // Handle ICE candidates
-        this.peerConnection.onicecandidate = (event) => {
-            if (event.candidate) {
-                this.socket.emit('ice_candidate', {
-                    room: this.getCurrentRoom(),
-                    candidate: event.candidate
-                });
-            }
-        };
+        const video = document.createElement('video');
+        video.autoplay = true;
+        video.playsInline = true;
 
-        // Handle connection state changes
-        this.peerConnection.onconnectionstatechange = () => {
-            console.log('🔄 Connection state:', this.peerConnection.connectionState);
-            
-            if (this.peerConnection.connectionState === 'connected') {
-                this.showStatus('Call connected successfully!', 'success');
-            } else if (this.peerConnection.connectionState === 'failed') {
-                this.showStatus('Connection failed. Please try again.', 'error');
-            }
-        };
+        const overlay = document.createElement('div');
+        overlay.className = 'video-overlay hidden';
+        overlay.textContent = '🎵 Audio Only';
+
+        // Covers the video when their frames can't be decrypted, instead of a frozen picture
+        const decryptOverlay = document.createElement('div');
+        decryptOverlay.className = 'video-overlay decrypt-overlay hidden';
+
+        const connectionType = document.createElement('span');
+        connectionType.className = 'connection-type hidden';
+
+        const encryptionStatus = document.createElement('span');
+        encryptionStatus.className = 'encryption-status hidden';
+
+        // Picture-in-picture camera for when this peer presents their screen
+        const cameraVideo = document.createElement('video');
+        cameraVideo.className = 'presenter-camera hidden';
+        cameraVideo.autoplay = true;
+        cameraVideo.playsInline = true;
+        cameraVideo.muted = true;
+
+        const caption = document.createElement('div');
+        caption.className = 'caption hidden';
+
+        tile.append(title, video, overlay, decryptOverlay, connectionType, encryptionStatus, cameraVideo, caption);
+        this.applyAudioOutput(video);
+
+        const grid = document.getElementById('remoteVideos');
+        grid.appendChild(tile);
+        grid.dataset.count = grid.children.length;
+
+        return { tile, video, decryptOverlay, connectionType, encryptionStatus, cameraVideo, caption };
     }
 
-    startNetworkMonitoring() {
-        if (!this.networkMonitor && this.peerConnection) {
-            this.networkMonitor = new NetworkQualityMonitor(this.peerConnection, this.socket);
-            this.networkMonitor.startMonitoring();
-            console.log('📊 Network monitoring started');
+    // End-to-end encryption indicator on a peer's tile. Both ends have to agree
+    // on encryption, and on the passphrase, to see each other.
+    updateEncryptionStatus(peerId) {
+        const peer = this.peers.get(peerId);
+        if (!peer) return;
+
+        const participant = this.roster.get(peerId);
+        const theyEncrypt = Boolean(participant && participant.e2ee);
+        const weEncrypt = this.encryption.enabled;
+        let problem = null;
+
+        if (theyEncrypt && !weEncrypt) {
+            problem = '🔒 Cannot decrypt - this call is end-to-end encrypted, rejoin with the passphrase';
+        } else if (weEncrypt && !theyEncrypt && participant) {
+            problem = '🔒 Cannot decrypt - they joined without the end-to-end encryption passphrase';
+        } else if (weEncrypt && peer.decryptStatus === 'failed') {
+            problem = '🔒 Cannot decrypt - check that you both use the same passphrase';
         }
+
+        peer.decryptOverlay.textContent = problem || '';
+        peer.decryptOverlay.classList.toggle('hidden', !problem);
+
+        const status = peer.encryptionStatus;
+        status.classList.toggle('hidden', !weEncrypt);
+        status.classList.toggle('encryption-verified', weEncrypt && !problem && peer.decryptStatus === 'ok');
+        status.classList.toggle('encryption-failed', Boolean(problem));
+        status.textContent = problem ? '⚠️ Not decrypting'
+            : peer.decryptStatus === 'ok' ? '🔒 Verified' : '🔒 Verifying...';
+        status.title = problem ? 'Media from this participant cannot be decrypted'
+            : peer.decryptStatus === 'ok' ? 'Media from this participant decrypts with the room key'
+            : 'Waiting for encrypted media from this participant';
     }
 
-    async handleOffer(data) {
-        try {
-            await this.createPeerConnection();
-            this.startNetworkMonitoring();
-            
-            await this.peerConnection.setRemoteDescription(data.offer);
-            
-            const answer = await this.peerConnection.createAnswer();
-            await this.peerConnection.setLocalDescription(answer);
-            
-            this.socket.emit('answer', {
-                room: this.getCurrentRoom(),
-                answer: answer
-            });
-            
-            console.log('📤 Sent call answer');
-            
-        } catch (error) {
-            console.error('❌ Error handling offer:', error);
+    // Show which candidate types (host/srflx/relay) the connection ended up on
+    updateConnectionType(sample) {
+        const peer = this.peers.get(sample.peerId);
+        if (!peer || !sample.transport) return;
+
+        const { local, remote, protocol } = sample.transport;
+        const type = local === 'relay' || remote === 'relay' ? 'relay' : local;
+        peer.connectionType.textContent = `🔗 ${local} ↔ ${remote}${protocol ? ` (${protocol})` : ''}`;
+        peer.connectionType.className = `connection-type connection-type-${type}`;
+    }
+
+    // A new peer connection: its tile, the transforms, channels and extra
+    // tracks that ride on it - all before the first offer goes out
+    handlePeerAdded(peerId, { connection: peerConnection, username }) {
+        const peer = {
+            connection: peerConnection,
+            stream: null,
+            username,
+            cameraSender: null, // the camera sent alongside a screen share
+            decryptStatus: null, // 'ok' or 'failed' once frames arrive, with end-to-end encryption
+            ...this.createRemoteTile(peerId, username)
+        };
+        this.peers.set(peerId, peer);
+        this.networkCharts.setPeerName(peerId, username);
+        this.updateEncryptionStatus(peerId);
+
+        peerConnection.getSenders().forEach(sender => this.encryption.protectSender(peerConnection, sender));
+
+        // Low data mode, or a peer in it, may mean no video goes out at all
+        this.updateVideoSending(peerId);
+
+        // Chat and media keys ride on the same connection
+        this.chat.addPeer(peerId, peerConnection);
+        this.encryption.addPeer(peerId, peerConnection);
+
+        // Peers joining mid-share get the screen straight away
+        if (this.screenStream) {
+            this.shareScreenWithPeer(peer);
         }
     }
 
-    async handleAnswer(data) {
-        try {
-            await this.peerConnection.setRemoteDescription(data.answer);
-            console.log('✅ Call answer processed');
-        } catch (error) {
-            console.error('❌ Error handling answer:', error);
+    handleTrack({ id: peerId, streams, receiver }) {
+        const peer = this.peers.get(peerId);
+        if (!peer) return;
+
+        const stream = streams[0];
+        this.encryption.protectReceiver(receiver, peerId);
+
+        // A second stream next to a screen share is the presenter's camera
+        if (peer.stream && stream && stream.id !== peer.stream.id) {
+            peer.cameraVideo.srcObject = stream;
+            peer.cameraVideo.classList.remove('hidden');
+            stream.onremovetrack = () => {
+                peer.cameraVideo.srcObject = null;
+                peer.cameraVideo.classList.add('hidden');
+            };
+            return;
         }
+
+        console.log(`Received remote stream from ${peer.username}`);
+        peer.stream = stream;
+        peer.video.srcObject = peer.stream;
+        this.speakerDetector.addStream(peerId, stream);
+        this.showStatus(`Connected to ${peer.username}`, 'success');
     }
 
-    async handleIceCandidate(data) {
-        try {
-            if (data.candidate && this.peerConnection) {
-                await this.peerConnection.addIceCandidate(data.candidate);
-            }
-        } catch (error) {
-            console.error('❌ Error handling ICE candidate:', error);
+    handlePeerStateChange(peerId, { username }, state) {
+        if (state === 'connected') {
+            this.showStatus(`Call with ${username} connected successfully!`, 'success');
+            
+            // Encodings only exist once negotiated
+            this.applyLowDataTier(peerId);
+        } else if (state === 'reconnecting') {
+            this.showStatus(`Connection to ${username} lost. Reconnecting...`, 'warning');
+        } else if (state === 'failed') {
+            this.showStatus(`Connection to ${username} failed. Please try again.`, 'error');
         }
     }
 
-    endCall() {
+    // The call has already closed the connection
+    handlePeerRemoved(peerId) {
+        const peer = this.peers.get(peerId);
+        if (!peer) return;
+
+        this.chat.removePeer(peerId);
+        this.encryption.removePeer(peerId);
+        this.speakerDetector.removeStream(peerId);
+        this.lastBytes.delete(peerId);
+        peer.video.srcObject = null;
+        peer.tile.remove();
+        this.peers.delete(peerId);
+
+        const grid = document.getElementById('remoteVideos');
+        grid.dataset.count = grid.children.length;
+        grid.classList.toggle('has-presenter', grid.querySelector('.presenter') !== null);
+    }
+
+    // Also how we leave when turned away or removed; `state` is where we end up
+    async endCall({ state = 'idle', message = 'Call ended', type = 'info' } = {}) {
         console.log('📞 Ending call...');
         
-        // Stop network monitoring
-        if (this.networkMonitor) {
-            this.networkMonitor.stopMonitoring();
-            this.networkMonitor = null;
-        }
+        await this.stopScreenShare();
+        this.recorder.stop();
         
-        // Close peer connection
-        if (this.peerConnection) {
-            this.peerConnection.close();
-            this.peerConnection = null;
-        }
+        // Closes every peer connection, which takes its video with it
+        const wasInCall = this.isInCall;
+        this.call.leave({ state });
         
-        // Clear remote video
-        document.getElementById('remoteVideo').srcObject = null;
+        if (wasInCall) {
+            this.roster.clear();
+            this.roomAccess.clear();
+            this.recorder.clear();
+            this.encryption.clear();
+            this.stopSpeakingDetection();
+        }
         
         // Reset UI
         this.resetLowDataMode();
         
-        this.showStatus('Call ended', 'info');
+        this.showStatus(message, type);
         console.log('✅ Call ended');
     }
 
     // Low Data Mode (YOUR HANDWRITTEN REQUIREMENT!)
     toggleLowDataMode() {
-        const button = document.getElementById('lowDataMode');
-        const localOverlay = document.getElementById('localVideoOverlay');
-        
-        if (!this.isLowDataMode) {
-            // Enable low data mode
-            this.enableLowDataMode();
-            button.textContent = '📹 Enable Video';
-            button.classList.remove('btn-warning');
-            button.classList.add('btn-primary');
-            localOverlay.classList.remove('hidden');
-            
-            this.showStatus('Low data mode enabled - Video disabled', 'info');
-            console.log('📱 Low data mode ENABLED');
-            
+        const tier = this.isLowDataMode ? 'off' : document.getElementById('lowDataTier').value;
+        return this.setLowDataTier(tier);
+    }
+
+    async setLowDataTier(tier) {
+        if (tier === this.lowDataTier || !LOW_DATA_TIERS[tier]) return;
+        
+        const settings = LOW_DATA_TIERS[tier];
+        this.lowDataTier = tier;
+        this.updateLowDataUI();
+        await this.applyVideoEffects();
+        
+        this.call.setVideoLimit(settings.videoLimit || null);
+        if (this.call.monitor) {
+            this.call.monitor.recordEvent('low_data_mode', { enabled: this.isLowDataMode, tier });
+        }
+        for (const peerId of this.peers.keys()) {
+            await this.applyLowDataTier(peerId);
+        }
+        
+        // receive_video asks the others to stop (or resume) sending us video
+        this.broadcastState({
+            low_data: this.isLowDataMode ? tier : false,
+            receive_video: settings.video
+        });
+        
+        if (this.isLowDataMode) {
+            this.showStatus(`Low data mode enabled - ${settings.label}`, 'info');
+            console.log(`📱 Low data mode ENABLED (${settings.label})`);
         } else {
-            // Disable low data mode
-            this.disableLowDataMode();
-            button.textContent = '📱 Low Data Mode';
-            button.classList.remove('btn-primary');
-            button.classList.add('btn-warning');
-            localOverlay.classList.add('hidden');
-            
             this.showStatus('Video enabled - Normal mode', 'success');
             console.log('📹 Low data mode DISABLED');
         }
         
-        this.isLowDataMode = !this.isLowDataMode;
-        
         // Notify other participants
         this.socket.emit('low_data_mode', {
             room: this.getCurrentRoom(),
-            username: document.getElementById('usernameInput').value || 'User',
-            enabled: this.isLowDataMode
+            username: this.getUsername(),
+            enabled: this.isLowDataMode,
+            tier: settings.label
         });
     }
 
-    enableLowDataMode() {
-        if (this.localStream) {
-            const videoTrack = this.localStream.getVideoTracks();
-            if (videoTrack) {
-                videoTrack.enabled = false;
+    updateLowDataUI() {
+        const settings = LOW_DATA_TIERS[this.lowDataTier];
+        const button = document.getElementById('lowDataMode');
+        
+        button.textContent = this.isLowDataMode
+            ? (settings.video ? '📹 Full Video' : '📹 Enable Video')
+            : '📱 Low Data Mode';
+        button.classList.toggle('btn-warning', !this.isLowDataMode);
+        button.classList.toggle('btn-primary', this.isLowDataMode);
+        SimpleConfer.setPressed(button, this.isLowDataMode);
+        document.getElementById('localVideoOverlay').classList.toggle('hidden', settings.video);
+        
+        if (this.isLowDataMode) {
+            document.getElementById('lowDataTier').value = this.lowDataTier;
+        }
+    }
+
+    // Outgoing media for one peer under the current tier
+    async applyLowDataTier(peerId) {
+        const peer = this.peers.get(peerId);
+        if (!peer) return;
+        
+        try {
+            await this.updateVideoSending(peerId);
+            
+            // Reduced video is a cap the monitor applies on top of its own adaptation
+            if (this.call.monitor) {
+                await this.call.monitor.refreshVideo(peerId);
             }
+            
+            const audioTransceiver = peer.connection.getTransceivers().find(t =>
+                t.receiver.track && t.receiver.track.kind === 'audio'
+            );
+            if (!audioTransceiver) return;
+            
+            const parameters = audioTransceiver.sender.getParameters();
+            if (!parameters.encodings || parameters.encodings.length === 0) return;
+            
+            const { audioBitrate } = LOW_DATA_TIERS[this.lowDataTier];
+            parameters.encodings.forEach(encoding => {
+                if (audioBitrate) {
+                    encoding.maxBitrate = audioBitrate;
+                } else {
+                    delete encoding.maxBitrate;
+                }
+            });
+            await audioTransceiver.sender.setParameters(parameters);
+        } catch (error) {
+            console.error('❌ Error applying low data mode:', error);
         }
     }
 
-    disableLowDataMode() {
-        if (this.localStream) {
-            const videoTrack = this.localStream.getVideoTracks();
-            if (videoTrack) {
-                videoTrack.enabled = true;
+    // What a peer's main video sender should carry: the screen while sharing
+    // (sharing still works in low data mode), otherwise the camera unless
+    // either end is in an audio-only tier
+    getOutgoingVideoTrack(peerId) {
+        if (this.screenStream) {
+            return this.screenStream.getVideoTracks()[0];
+        }
+        return this.isSendingCameraTo(peerId) && this.localStream
+            ? this.localStream.getVideoTracks()[0] || null
+            : null;
+    }
+
+    isSendingCameraTo(peerId) {
+        const participant = this.roster.get(peerId);
+        return LOW_DATA_TIERS[this.lowDataTier].video && (!participant || participant.receive_video !== false);
+    }
+
+    // replaceTrack(null) stops the sender entirely; a disabled track would
+    // still send black frames
+    async updateVideoSending(peerId) {
+        const peer = this.peers.get(peerId);
+        if (!peer) return;
+        
+        try {
+            const sender = this.getVideoSender(peer.connection);
+            const track = this.getOutgoingVideoTrack(peerId);
+            if (sender && sender.track !== track) {
+                await sender.replaceTrack(track);
+            }
+            
+            // The camera sent alongside a screen share
+            if (peer.cameraSender) {
+                const cameraTrack = this.localStream ? this.localStream.getVideoTracks()[0] : null;
+                await peer.cameraSender.replaceTrack(this.isSendingCameraTo(peerId) ? cameraTrack : null);
             }
+        } catch (error) {
+            console.error('❌ Error updating outgoing video:', error);
         }
     }
 
     resetLowDataMode() {
         if (this.isLowDataMode) {
-            this.toggleLowDataMode();
+            this.setLowDataTier('off');
         }
     }
 
+    // "Data used this call" from the RTP byte counters of every connection
+    updateDataUsed(sample) {
+        const { bytes_sent: sent = 0, bytes_received: received = 0 } = sample.stats;
+        const last = this.lastBytes.get(sample.peerId) || { sent: 0, received: 0 };
+        
+        // Counters start again from zero when a connection is replaced
+        this.dataUsed.sent += sent >= last.sent ? sent - last.sent : sent;
+        this.dataUsed.received += received >= last.received ? received - last.received : received;
+        this.lastBytes.set(sample.peerId, { sent, received });
+        
+        this.renderDataUsed();
+    }
+
+    resetDataUsed() {
+        this.dataUsed = { sent: 0, received: 0 };
+        this.lastBytes.clear();
+        this.renderDataUsed();
+    }
+
+    renderDataUsed() {
+        const { sent, received } = this.dataUsed;
+        const megabytes = bytes => (bytes / (1024 * 1024)).toFixed(1);
+        document.getElementById('dataUsed').textContent =
+            `Data used: ${megabytes(sent + received)} MB (↑ ${megabytes(sent)} ↓ ${megabytes(received)})`;
+    }
+
     toggleAudio() {
-        const button = document.getElementById('toggleAudio');
+        this.isPushingToTalk = false;
+        this.setAudioMuted(!this.isAudioMuted);
+    }
+
+    // `quiet` skips the status message, for push-to-talk's many quick toggles
+    setAudioMuted(muted, { quiet = false } = {}) {
+        const audioTrack = this.localStream ? this.localStream.getAudioTracks()[0] : null;
+        if (!audioTrack) return;
         
-        if (this.localStream) {
-            const audioTrack = this.localStream.getAudioTracks();
-            if (audioTrack) {
-                audioTrack.enabled = !audioTrack.enabled;
-                this.isAudioMuted = !audioTrack.enabled;
-                
-                button.textContent = this.isAudioMuted ? '🔇 Unmute' : '🎤 Mute';
-                this.showStatus(this.isAudioMuted ? 'Audio muted' : 'Audio unmuted', 'info');
-            }
+        audioTrack.enabled = !muted;
+        this.isAudioMuted = muted;
+        this.broadcastState({ audio_muted: this.isAudioMuted });
+        this.speakerDetector.setMuted('local', this.isAudioMuted);
+        this.transcription.setMuted(this.isAudioMuted);
+        if (this.isAudioMuted) {
+            this.setSpeaking(false);
+        } else {
+            this.hideMutedWarning();
+        }
+        
+        const button = document.getElementById('toggleAudio');
+        button.textContent = this.isPushingToTalk ? '🎙️ Talking...'
+            : this.isAudioMuted ? '🔇 Unmute' : '🎤 Mute';
+        SimpleConfer.setPressed(button, this.isAudioMuted);
+        if (!quiet) {
+            this.showStatus(this.isAudioMuted ? 'Audio muted' : 'Audio unmuted', 'info');
+        }
+    }
+
+    // Space held while muted
+    pushToTalk(talking) {
+        if (talking && this.isAudioMuted) {
+            this.isPushingToTalk = true;
+            this.setAudioMuted(false, { quiet: true });
+        } else if (!talking && this.isPushingToTalk) {
+            this.isPushingToTalk = false;
+            this.setAudioMuted(true, { quiet: true });
         }
     }
 
@@ -347,21 +932,312 @@ class SimpleConfer {
         const button = document.getElementById('toggleVideo');
         
         if (this.localStream) {
-            const videoTrack = this.localStream.getVideoTracks();
+            const videoTrack = this.localStream.getVideoTracks()[0];
             if (videoTrack) {
                 videoTrack.enabled = !videoTrack.enabled;
                 this.isVideoStopped = !videoTrack.enabled;
+                this.broadcastState({ video_stopped: this.isVideoStopped });
                 
                 button.textContent = this.isVideoStopped ? '📹 Start Video' : '📹 Stop Video';
+                SimpleConfer.setPressed(button, this.isVideoStopped);
                 this.showStatus(this.isVideoStopped ? 'Video stopped' : 'Video started', 'info');
             }
         }
     }
 
+    // Toggle buttons keep a fixed accessible name and report their state
+    // through aria-pressed; the visible text is just a hint
+    static setPressed(button, pressed) {
+        button.setAttribute('aria-pressed', String(pressed));
+    }
+
+    downloadDiagnostics() {
+        const report = this.call.monitor
+            ? this.call.monitor.getDiagnosticsReport()
+            : this.call.lastDiagnostics;
+        
+        if (!report) {
+            this.showStatus('No call diagnostics recorded yet', 'warning');
+            return;
+        }
+        
+        const name = `simpleconfer-diagnostics-${report.startedAt.replace(/[:.]/g, '-')}`;
+        this.downloadFile(`${name}.json`, JSON.stringify(report, null, 2), 'application/json');
+        this.downloadFile(`${name}.csv`, NetworkQualityMonitor.reportToCSV(report), 'text/csv');
+        this.showStatus('Diagnostics downloaded', 'success');
+    }
+
+    downloadFile(filename, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    async loadDiagnostics(file) {
+        if (!file) return;
+        
+        try {
+            const report = JSON.parse(await file.text());
+            if (!Array.isArray(report.samples)) {
+                throw new Error('Not a diagnostics report');
+            }
+            
+            this.networkCharts.loadReport(report);
+            this.showStatus(`Loaded diagnostics from ${report.startedAt} (${report.samples.length} samples)`, 'success');
+        } catch (error) {
+            console.error('❌ Error loading diagnostics:', error);
+            this.showStatus('Could not read diagnostics file', 'error');
+        }
+    }
+
+    // Device Switching
+    async switchDevice(kind, deviceId) {
+        if (kind === 'audiooutput') {
+            this.peers.forEach(peer => this.applyAudioOutput(peer.video));
+            this.showStatus('Speaker changed', 'success');
+            return;
+        }
+        if (!this.localStream) return;
+
+        const isAudio = kind === 'audioinput';
+        const stream = await navigator.mediaDevices.getUserMedia(isAudio
+            ? { audio: { ...AUDIO_CONSTRAINTS, deviceId: { exact: deviceId } } }
+            : { video: { ...VIDEO_CONSTRAINTS, deviceId: { exact: deviceId } } });
+        const newTrack = stream.getTracks()[0];
+
+        if (!isAudio && this.videoEffects.isActive) {
+            // Effects keep sending the same processed track, now fed by the new camera
+            this.videoEffects.setInput(newTrack);
+        } else {
+            const oldTrack = isAudio ? this.localStream.getAudioTracks()[0] : this.localStream.getVideoTracks()[0];
+            await this.replaceLocalTrack(oldTrack, newTrack);
+            if (oldTrack) {
+                oldTrack.stop();
+            }
+        }
+        
+        // The speaking meter listened to the old microphone
+        if (isAudio && this.speakingTrack) {
+            this.stopSpeakingDetection();
+            this.startSpeakingDetection();
+        }
+
+        this.showStatus(`${isAudio ? 'Microphone' : 'Camera'} changed to ${newTrack.label}`, 'success');
+    }
+
+    // Swap a local track everywhere it's used. While sharing, the screen
+    // stays on the main sender and only the camera sent alongside it is
+    // swapped.
+    async replaceLocalTrack(oldTrack, newTrack) {
+        // Keep mute / stopped video as they were
+        if (oldTrack) {
+            newTrack.enabled = oldTrack.enabled;
+            
+            for (const peer of this.peers.values()) {
+                const sender = peer.connection.getSenders().find(candidate => candidate.track === oldTrack);
+                if (sender) {
+                    await sender.replaceTrack(newTrack);
+                }
+            }
+            this.localStream.removeTrack(oldTrack);
+        }
+        this.localStream.addTrack(newTrack);
+        this.deviceSettings.setStream(this.localStream);
+    }
+
+    // Background effects sit between the camera and everything that uses
+    // localStream. They switch themselves off in low data mode.
+    async applyVideoEffects() {
+        if (!this.localStream) return;
+        
+        const wanted = this.videoEffects.enabled && !this.isLowDataMode;
+        const current = this.localStream.getVideoTracks()[0];
+        try {
+            if (wanted && !this.videoEffects.isActive && current) {
+                await this.replaceLocalTrack(current, this.videoEffects.start(current));
+            } else if (!wanted && this.videoEffects.isActive) {
+                await this.replaceLocalTrack(current, this.videoEffects.stop());
+                current.stop();
+            }
+        } catch (error) {
+            console.error('❌ Error applying video effects:', error);
+        }
+    }
+
+    applyAudioOutput(video) {
+        const deviceId = this.deviceSettings.selected.audiooutput;
+        if (deviceId && video.setSinkId) {
+            video.setSinkId(deviceId).catch(error => {
+                console.error('❌ Error setting audio output:', error);
+            });
+        }
+    }
+
+    // Screen Sharing
+    async toggleScreenShare() {
+        if (this.screenStream) {
+            await this.stopScreenShare();
+        } else {
+            await this.startScreenShare();
+        }
+    }
+
+    async startScreenShare() {
+        try {
+            // Low data mode still allows sharing, at a few frames a second
+            this.screenStream = await navigator.mediaDevices.getDisplayMedia({
+                video: { frameRate: { max: this.isLowDataMode ? 5 : 15 } },
+                audio: false
+            });
+        } catch (error) {
+            console.error('❌ Error starting screen share:', error);
+            this.showStatus('Screen sharing was cancelled', 'info');
+            return;
+        }
+
+        const screenTrack = this.screenStream.getVideoTracks()[0];
+        screenTrack.contentHint = 'detail';
+
+        // The browser's own "Stop sharing" bar ends the track
+        screenTrack.onended = () => this.stopScreenShare();
+
+        // The camera rides along as a second track, except in low data mode
+        this.sendCameraWithScreen = document.getElementById('shareWithCamera').checked && !this.isLowDataMode;
+
+        for (const [peerId, peer] of this.peers) {
+            await this.shareScreenWithPeer(peer);
+            await this.updateVideoSending(peerId);
+        }
+
+        const button = document.getElementById('shareScreen');
+        button.textContent = '🖥️ Stop Sharing';
+        button.classList.add('btn-danger');
+        button.classList.remove('btn-secondary');
+        SimpleConfer.setPressed(button, true);
+
+        this.announceScreenShare(true);
+        this.showStatus('Sharing your screen', 'success');
+    }
+
+    async shareScreenWithPeer(peer) {
+        try {
+            // Swap the outgoing video in place - no renegotiation needed
+            const sender = this.getVideoSender(peer.connection);
+            if (sender) {
+                await sender.replaceTrack(this.screenStream.getVideoTracks()[0]);
+            }
+
+            const cameraTrack = this.localStream ? this.localStream.getVideoTracks()[0] : null;
+            if (this.sendCameraWithScreen && cameraTrack && !peer.cameraSender) {
+                peer.cameraSender = peer.connection.addTrack(cameraTrack, new MediaStream([cameraTrack]));
+                this.encryption.protectSender(peer.connection, peer.cameraSender);
+            }
+        } catch (error) {
+            console.error('❌ Error sharing screen with peer:', error);
+        }
+    }
+
+    async stopScreenShare() {
+        if (!this.screenStream) return;
+
+        const screenStream = this.screenStream;
+        this.screenStream = null;
+        screenStream.getTracks().forEach(track => {
+            track.onended = null;
+            track.stop();
+        });
+
+        // Put the camera back on the main video sender, unless low data mode keeps it off
+        for (const [peerId, peer] of this.peers) {
+            try {
+                const sender = this.getVideoSender(peer.connection);
+                if (sender) {
+                    await sender.replaceTrack(this.getOutgoingVideoTrack(peerId));
+                }
+                if (peer.cameraSender) {
+                    peer.connection.removeTrack(peer.cameraSender);
+                    peer.cameraSender = null;
+                }
+            } catch (error) {
+                console.error('❌ Error restoring camera:', error);
+            }
+        }
+
+        const button = document.getElementById('shareScreen');
+        button.textContent = '🖥️ Share Screen';
+        button.classList.add('btn-secondary');
+        button.classList.remove('btn-danger');
+        SimpleConfer.setPressed(button, false);
+
+        this.announceScreenShare(false);
+        this.showStatus('Stopped sharing your screen', 'info');
+    }
+
+    announceScreenShare(sharing) {
+        this.socket.emit('screen_share', {
+            room: this.getCurrentRoom(),
+            username: this.getUsername(),
+            sharing
+        });
+    }
+
+    // The first video transceiver carries the camera, or the screen while sharing
+    getVideoSender(peerConnection) {
+        const transceiver = peerConnection.getTransceivers().find(t =>
+            t.receiver.track && t.receiver.track.kind === 'video'
+        );
+        return transceiver ? transceiver.sender : null;
+    }
+
+    setPresenter(peerId, sharing) {
+        const peer = this.peers.get(peerId);
+        if (!peer) return;
+
+        peer.tile.classList.toggle('presenter', sharing);
+        const grid = document.getElementById('remoteVideos');
+        grid.classList.toggle('has-presenter', grid.querySelector('.presenter') !== null);
+    }
+
+    // Recording - every video tile, ourselves first
+    getRecordingSources() {
+        const sources = [{
+            id: this.selfId,
+            label: `${this.getUsername()} (you)`,
+            video: document.getElementById('localVideo'),
+            stream: this.localStream
+        }];
+        this.peers.forEach((peer, peerId) => {
+            sources.push({ id: peerId, label: peer.username, video: peer.video, stream: peer.stream });
+        });
+        return sources;
+    }
+
+    // Live captions over the speaker's video
+    showCaption(sid, text, isFinal) {
+        const caption = sid === this.selfId
+            ? document.getElementById('localCaption')
+            : this.peers.get(sid)?.caption;
+        if (!caption) return;
+
+        caption.textContent = text;
+        caption.classList.toggle('interim', !isFinal);
+        caption.classList.remove('hidden');
+
+        clearTimeout(caption.hideTimer);
+        caption.hideTimer = setTimeout(() => caption.classList.add('hidden'), CAPTION_DISPLAY_MS);
+    }
+
     getCurrentRoom() {
         return document.getElementById('roomInput').value || 'default';
     }
 
+    getUsername() {
+        return document.getElementById('usernameInput').value || 'Anonymous';
+    }
+
     showStatus(message, type = 'info') {
         const statusMessages = document.getElementById('statusMessages');
         const timestamp = new Date().toLocaleTimeString();
@@ -372,8 +1248,9 @@ class SimpleConfer {
             warning: '⚠️'
         };
         
+        // Messages carry usernames and chat text - never treat them as HTML
         const statusElement = document.createElement('div');
-        statusElement.innerHTML = `[${timestamp}] ${typeEmojis[type]} ${message}`;
+        statusElement.textContent = `[${timestamp}] ${typeEmojis[type]} ${message}`;
         statusElement.style.color = type === 'error' ? '#dc3545' : 
                                    type === 'success' ? '#28a745' : 
                                    type === 'warning' ? '#ffc107' : '#6c757d';
@@ -386,6 +1263,7 @@ class SimpleConfer {
             statusMessages.removeChild(statusMessages.firstChild);
         }
         
+        this.announcer.announce(message);
         console.log(`${typeEmojis[type]} ${message}`);
     }
 }
@@ -395,63 +1273,3 @@ document.addEventListener('DOMContentLoaded', () => {
     window.app = new SimpleConfer();
     console.log('🎥 SimpleConfer initialized successfully!');
 });
-
-// Speech Recognition Setup (continuous transcription)
-let recognition;
-let isTranscribing = false;
-let transcriptText = "";
-
-// Start transcription
-function startTranscription() {
-    if (!('webkitSpeechRecognition' in window)) {
-        console.warn("Speech Recognition not supported");
-        return;
-    }
-    recognition = new webkitSpeechRecognition();
-    recognition.continuous = true;
-    recognition.interimResults = true;
-    recognition.lang = 'en-US';
-
-    recognition.onresult = function(event) {
-        let interimTranscript = '';
-        for (let i = event.resultIndex; i < event.results.length; ++i) {
-            const transcript = event.results[i][0].transcript;
-            if (event.results[i].isFinal) {
-                transcriptText += transcript + ' ';
-            } else {
-                interimTranscript += transcript;
-            }
-        }
-
-        // Send latest finalized transcript to backend
-        if (transcriptText.trim().length > 0) {
-            socket.emit('audio_transcript', {
-                room: getCurrentRoom(),
-                username: document.getElementById('usernameInput').value || 'Anonymous',
-                text: transcriptText
-            });
-        }
-
-        // Optionally, show transcripts live on UI
-        document.getElementById('liveTranscript').innerText = transcriptText + interimTranscript;
-    };
-
-    recognition.onerror = (event) => {
-        console.error("Speech recognition error", event.error);
-    };
-
-    recognition.onend = () => {
-        if (isTranscribing) recognition.start();  // Restart on end for continuous
-    };
-
-    recognition.start();
-    isTranscribing = true;
-}
-
-// Stop transcription
-function stopTranscription() {
-    if (recognition) {
-        recognition.stop();
-        isTranscribing = false;
-    }
-}
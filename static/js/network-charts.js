@@ -0,0 +1,225 @@
+// Live Network Quality Charts
+// Draws rolling RTT, jitter, loss and bitrate graphs on plain <canvas> elements
+// from the samples NetworkQualityMonitor produces. Every sample of the call is
+// kept, so the view can be paused and scrolled back to any point.
+const CHART_WINDOW_MS = 60000; // one minute visible at a time
+
+const QUALITY_BAND_COLORS = {
+    good: 'rgba(40, 167, 69, 0.12)',
+    medium: 'rgba(255, 193, 7, 0.2)',
+    poor: 'rgba(220, 53, 69, 0.2)'
+};
+
+const CHART_DEFINITIONS = [
+    { canvasId: 'chartRtt', title: 'RTT (ms)', lines: [{ key: 'rtt', color: '#667eea' }] },
+    { canvasId: 'chartJitter', title: 'Jitter (ms)', lines: [{ key: 'jitter', color: '#764ba2' }] },
+    { canvasId: 'chartLoss', title: 'Packet Loss (%)', lines: [{ key: 'packet_loss', color: '#dc3545' }] },
+    {
+        canvasId: 'chartBitrate',
+        title: 'Bitrate (kbps)',
+        lines: [
+            { key: 'send_bitrate', color: '#28a745', label: 'send' },
+            { key: 'bitrate', color: '#17a2b8', label: 'receive' }
+        ]
+    }
+];
+
+class NetworkCharts {
+    constructor() {
+        this.history = new Map(); // participant id -> [{ timestamp, level, stats }]
+        this.peerNames = new Map(); // participant id -> display name
+        this.selectedPeer = null;
+        this.isPaused = false;
+        this.viewEnd = null; // right edge of the view while paused, null when live
+
+        this.setupUIEventListeners();
+    }
+
+    setupUIEventListeners() {
+        document.getElementById('chartPeer').onchange = (event) => {
+            this.selectedPeer = event.target.value;
+            this.render();
+        };
+
+        document.getElementById('chartPause').onclick = () => {
+            this.setPaused(!this.isPaused);
+        };
+
+        // Dragging the scrollbar pauses the live view on that point in the call
+        document.getElementById('chartScroll').oninput = (event) => {
+            const range = this.getTimeRange();
+            if (!range) return;
+
+            if (!this.isPaused) {
+                this.setPaused(true);
+            }
+            const position = event.target.value / event.target.max;
+            this.viewEnd = range.start + CHART_WINDOW_MS + position * Math.max(0, range.span - CHART_WINDOW_MS);
+            this.render();
+        };
+    }
+
+    setPaused(paused) {
+        this.isPaused = paused;
+        document.getElementById('chartPause').textContent = paused ? '▶ Live' : '⏸ Pause';
+
+        if (paused) {
+            const range = this.getTimeRange();
+            this.viewEnd = range ? range.end : null;
+        } else {
+            this.viewEnd = null;
+            document.getElementById('chartScroll').value = document.getElementById('chartScroll').max;
+            this.render();
+        }
+    }
+
+    setPeerName(peerId, name) {
+        this.peerNames.set(peerId, name);
+        this.updatePeerSelect();
+    }
+
+    addSample(sample) {
+        if (!this.history.has(sample.peerId)) {
+            this.history.set(sample.peerId, []);
+            this.updatePeerSelect();
+        }
+        this.history.get(sample.peerId).push({
+            timestamp: sample.timestamp,
+            level: sample.level,
+            stats: sample.stats
+        });
+
+        if (!this.selectedPeer) {
+            this.selectedPeer = sample.peerId;
+        }
+        if (!this.isPaused) {
+            this.render();
+        }
+    }
+
+    clear() {
+        this.history.clear();
+        this.peerNames.clear();
+        this.selectedPeer = null;
+        this.setPaused(false);
+        this.updatePeerSelect();
+    }
+
+    // Replay a saved diagnostics report, paused so it can be scrolled through
+    loadReport(report) {
+        this.clear();
+        Object.entries(report.peers || {}).forEach(([peerId, peer]) => {
+            this.peerNames.set(peerId, peer.name);
+        });
+
+        // Skip the per-sample redraw while loading
+        this.isPaused = true;
+        report.samples.forEach(sample => this.addSample(sample));
+
+        this.setPaused(true);
+        this.render();
+    }
+
+    updatePeerSelect() {
+        const select = document.getElementById('chartPeer');
+        select.innerHTML = '';
+
+        this.history.forEach((samples, peerId) => {
+            const option = document.createElement('option');
+            option.value = peerId;
+            option.textContent = this.peerNames.get(peerId) || peerId;
+            option.selected = peerId === this.selectedPeer;
+            select.appendChild(option);
+        });
+    }
+
+    getTimeRange() {
+        const samples = this.history.get(this.selectedPeer);
+        if (!samples || samples.length === 0) return null;
+
+        const start = samples[0].timestamp;
+        const end = samples[samples.length - 1].timestamp;
+        return { start, end, span: end - start };
+    }
+
+    render() {
+        const samples = this.history.get(this.selectedPeer) || [];
+        const range = this.getTimeRange();
+        const viewEnd = this.viewEnd || (range ? range.end : Date.now());
+        const viewStart = viewEnd - CHART_WINDOW_MS;
+
+        // Include one sample either side so lines run to the edges
+        const visible = samples.filter((sample, index) => {
+            const next = samples[index + 1];
+            const prev = samples[index - 1];
+            return (sample.timestamp >= viewStart && sample.timestamp <= viewEnd) ||
+                (next && next.timestamp >= viewStart && sample.timestamp < viewStart) ||
+                (prev && prev.timestamp <= viewEnd && sample.timestamp > viewEnd);
+        });
+
+        CHART_DEFINITIONS.forEach(definition => {
+            this.drawChart(definition, visible, viewStart, viewEnd);
+        });
+    }
+
+    drawChart(definition, samples, viewStart, viewEnd) {
+        const canvas = document.getElementById(definition.canvasId);
+        const context = canvas.getContext('2d');
+        const { width, height } = canvas;
+        const padding = { top: 18, bottom: 4 };
+        const plotHeight = height - padding.top - padding.bottom;
+        const xFor = timestamp => ((timestamp - viewStart) / (viewEnd - viewStart)) * width;
+
+        context.clearRect(0, 0, width, height);
+
+        // Quality-level bands behind the graph
+        samples.forEach((sample, index) => {
+            const next = samples[index + 1];
+            const x = xFor(sample.timestamp);
+            const nextX = next ? xFor(next.timestamp) : width;
+            context.fillStyle = QUALITY_BAND_COLORS[sample.level] || 'transparent';
+            context.fillRect(x, padding.top, nextX - x, plotHeight);
+        });
+
+        // Scale to the largest visible value, at least 1 so flat lines show
+        const values = samples.flatMap(sample =>
+            definition.lines.map(line => sample.stats[line.key]).filter(value => value !== undefined)
+        );
+        const maxValue = Math.max(1, ...values) * 1.1;
+        const yFor = value => padding.top + plotHeight - (value / maxValue) * plotHeight;
+
+        definition.lines.forEach(line => {
+            context.strokeStyle = line.color;
+            context.lineWidth = 2;
+            context.beginPath();
+
+            let started = false;
+            samples.forEach(sample => {
+                const value = sample.stats[line.key];
+                if (value === undefined) return;
+
+                const x = xFor(sample.timestamp);
+                const y = yFor(value);
+                if (started) {
+                    context.lineTo(x, y);
+                } else {
+                    context.moveTo(x, y);
+                    started = true;
+                }
+            });
+            context.stroke();
+        });
+
+        // Title, legend and current scale
+        context.fillStyle = '#495057';
+        context.font = '12px sans-serif';
+        const legend = definition.lines.filter(line => line.label).map(line => line.label).join(' / ');
+        context.fillText(`${definition.title}${legend ? ` - ${legend}` : ''}`, 4, 13);
+        context.textAlign = 'right';
+        context.fillText(`max ${Math.round(maxValue)}`, width - 4, 13);
+        context.textAlign = 'left';
+    }
+}
+
+// Export for use in main.js
+window.NetworkCharts = NetworkCharts;
@@ -0,0 +1,85 @@
+// Network Panel
+// The page's view of the call's network quality: the status indicator, the
+// per-track breakdown and the network log, fed by the call's quality-sample
+// and adaptation events.
+const QUALITY_DISPLAY = {
+    good: { icon: '🟢', text: 'Good Connection', class: 'quality-good' },
+    medium: { icon: '🟡', text: 'Moderate Connection', class: 'quality-medium' },
+    poor: { icon: '🔴', text: 'Poor Connection', class: 'quality-poor' }
+};
+const NETWORK_LOG_MAX_LINES = 50;
+
+class NetworkPanel {
+    constructor({ onAnnounce } = {}) {
+        this.onAnnounce = onAnnounce || (() => {}); // (message) for screen readers
+    }
+
+    showSample(sample) {
+        this.updateNetworkUI(sample);
+        this.logNetworkEvent(sample);
+    }
+
+    // The call's overall quality moved; only changes are read out, not every sample
+    announceQuality(quality, recommendation) {
+        if (!quality) return;
+        this.onAnnounce(`${QUALITY_DISPLAY[quality].text}. ${recommendation}`);
+    }
+
+    updateNetworkUI(data) {
+        const { level, stats, recommendation } = data;
+        const config = QUALITY_DISPLAY[level] || QUALITY_DISPLAY.good;
+
+        document.getElementById('qualityIcon').textContent = config.icon;
+        document.getElementById('qualityText').textContent = `${config.text} - ${recommendation}`;
+        document.getElementById('networkStatus').className = `network-status ${config.class}`;
+
+        // Update detailed stats
+        if (stats) {
+            document.getElementById('packetLoss').textContent = `Packet Loss: ${stats.packet_loss?.toFixed(1) || 0}%`;
+            document.getElementById('rtt').textContent = `Latency: ${Math.round(stats.rtt || 0)}ms`;
+        }
+
+        // Per-track breakdown so it's clear whether audio or video is suffering
+        if (stats && stats.tracks) {
+            document.getElementById('trackStats').textContent = stats.tracks
+                .filter(track => track.direction === 'inbound')
+                .map(track => {
+                    const extra = track.kind === 'video'
+                        ? `${track.frames_dropped} dropped frames`
+                        : `${track.concealment}% concealed`;
+                    return `${track.kind}: ${track.packet_loss}% loss, ${track.jitter}ms jitter, ${extra}`;
+                })
+                .join(' | ');
+        }
+    }
+
+    logNetworkEvent(data) {
+        this.appendLog(`Quality: ${data.level.toUpperCase()} | ` +
+                       `Packet Loss: ${data.stats.packet_loss?.toFixed(1)}% | ` +
+                       `RTT: ${Math.round(data.stats.rtt)}ms` +
+                       (data.stats.worst_track ? ` | Worst: ${data.stats.worst_track}` : ''));
+    }
+
+    logAdaptation(peerId, previous, step) {
+        const settings = step.active
+            ? `${Math.round(step.maxBitrate / 1000)}kbps, 1/${step.scaleResolutionDownBy} resolution, ${step.maxFramerate}fps`
+            : 'video paused';
+        this.appendLog(`Adaptation (${peerId}): ${previous.toUpperCase()} -> ${step.name.toUpperCase()} | ${settings}`);
+    }
+
+    appendLog(message) {
+        const networkLog = document.getElementById('networkLog');
+        const timestamp = new Date().toLocaleTimeString();
+
+        networkLog.textContent += `[${timestamp}] ${message}\n`;
+        networkLog.scrollTop = networkLog.scrollHeight;
+
+        const lines = networkLog.textContent.split('\n');
+        if (lines.length > NETWORK_LOG_MAX_LINES) {
+            networkLog.textContent = lines.slice(-NETWORK_LOG_MAX_LINES).join('\n');
+        }
+    }
+}
+
+// Export for use in main.js
+window.NetworkPanel = NetworkPanel;
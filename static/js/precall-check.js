@@ -0,0 +1,253 @@
+// Pre-call Check
+// Before joining, sends the camera and microphone around a loopback pair of
+// peer connections for a few seconds and measures the link with
+// NetworkQualityMonitor, so the verdict uses the same good/medium/poor scale
+// as the call itself. With a TURN server the loopback is forced through it,
+// which makes the media cross the real network (there and back again).
+const PRECALL_TEST_MS = 10000;
+const PRECALL_CONNECT_TIMEOUT_MS = 10000;
+const PRECALL_GATHER_TIMEOUT_MS = 3000;
+const PRECALL_MIN_MIC_LEVEL = 0.2; // peak meter level that counts as "heard you"
+
+const PRECALL_VERDICTS = {
+    good: '🟢 Your connection looks good',
+    medium: '🟡 Your connection is usable, video may be reduced',
+    poor: '🔴 Your connection is poor'
+};
+
+class PreCallCheck {
+    constructor({ getStream, getIceConfiguration, createMonitor, onUseLowData } = {}) {
+        this.getStream = getStream;
+        this.getIceConfiguration = getIceConfiguration;
+        this.createMonitor = createMonitor; // a NetworkQualityMonitor that reports nothing to the server
+        this.onUseLowData = onUseLowData || (() => {});
+        this.session = null; // { caller, callee, monitor, meter, frame } while running
+
+        this.setupUIEventListeners();
+    }
+
+    setupUIEventListeners() {
+        document.getElementById('runPrecallCheck').onclick = () => this.run();
+        document.getElementById('precallLowData').onclick = () => {
+            this.onUseLowData();
+            document.getElementById('precallLowData').classList.add('hidden');
+        };
+    }
+
+    get isRunning() {
+        return this.session !== null;
+    }
+
+    async run() {
+        if (this.isRunning) return;
+
+        const stream = this.getStream();
+        const session = { caller: null, callee: null, monitor: null, meter: null, frame: null, micPeak: 0 };
+        this.session = session;
+        this.setRunning(true);
+        this.showResults(['Testing your camera, microphone and network - say something...']);
+
+        try {
+            if (!stream) {
+                this.showResults(['❌ No camera or microphone - allow access and refresh'], 'error');
+                return;
+            }
+
+            this.startMicMeter(session, stream);
+            const network = await this.testNetwork(session, stream);
+            if (this.session !== session) return; // cancelled
+
+            this.showVerdict(network, this.checkDevices(session, stream));
+        } catch (error) {
+            console.error('❌ Pre-call check failed:', error);
+            if (this.session === session) {
+                this.showResults([`❌ Check failed: ${error.message}`], 'error');
+            }
+        } finally {
+            this.cleanup(session);
+        }
+    }
+
+    // Abandon a running check, e.g. when the call starts
+    cancel() {
+        if (!this.session) return;
+
+        this.cleanup(this.session);
+        this.showResults(['Check cancelled']);
+    }
+
+    cleanup(session) {
+        if (session.monitor) session.monitor.stopMonitoring();
+        if (session.caller) session.caller.close();
+        if (session.callee) session.callee.close();
+        if (session.meter) {
+            cancelAnimationFrame(session.frame);
+            session.meter.close();
+            document.getElementById('precallMicLevel').style.width = '0%';
+        }
+
+        if (this.session === session) {
+            this.session = null;
+            this.setRunning(false);
+        }
+    }
+
+    async testNetwork(session, stream) {
+        const iceConfig = await this.getIceConfiguration();
+        const viaRelay = iceConfig.iceServers.some(server =>
+            [].concat(server.urls).some(url => url.startsWith('turn'))
+        );
+        const configuration = {
+            iceServers: iceConfig.iceServers,
+            iceTransportPolicy: viaRelay ? 'relay' : 'all'
+        };
+
+        session.caller = new RTCPeerConnection(configuration);
+        session.callee = new RTCPeerConnection(configuration);
+        const { caller, callee } = session;
+
+        // Both ends send, so the caller's stats cover both directions.
+        // Candidates go inside the descriptions - no trickling within a page.
+        stream.getTracks().forEach(track => caller.addTrack(track, stream));
+        await caller.setLocalDescription(await caller.createOffer());
+        await PreCallCheck.waitForGathering(caller);
+        await callee.setRemoteDescription(caller.localDescription);
+
+        stream.getTracks().forEach(track => callee.addTrack(track, stream));
+        await callee.setLocalDescription(await callee.createAnswer());
+        await PreCallCheck.waitForGathering(callee);
+        await caller.setRemoteDescription(callee.localDescription);
+
+        if (!await PreCallCheck.waitForConnection(caller)) {
+            return { level: 'poor', connected: false, viaRelay };
+        }
+
+        const samples = [];
+        session.monitor = this.createMonitor();
+        session.monitor.addPeer('precall', caller, 'Pre-call check');
+        session.monitor.addSampleListener(sample => samples.push(sample));
+        session.monitor.startMonitoring();
+
+        await new Promise(resolve => setTimeout(resolve, PRECALL_TEST_MS));
+
+        // The last sample is already smoothed over the whole test
+        const last = samples[samples.length - 1];
+        if (!last) {
+            return { level: 'poor', connected: true, viaRelay, stats: null };
+        }
+        return {
+            level: last.level,
+            connected: true,
+            viaRelay,
+            stats: last.stats,
+            peakBitrate: Math.max(...samples.map(sample => sample.stats.send_bitrate || 0))
+        };
+    }
+
+    static waitForGathering(peerConnection) {
+        if (peerConnection.iceGatheringState === 'complete') return Promise.resolve();
+
+        return new Promise(resolve => {
+            const timer = setTimeout(resolve, PRECALL_GATHER_TIMEOUT_MS);
+            peerConnection.addEventListener('icegatheringstatechange', () => {
+                if (peerConnection.iceGatheringState === 'complete') {
+                    clearTimeout(timer);
+                    resolve();
+                }
+            });
+        });
+    }
+
+    static waitForConnection(peerConnection) {
+        return new Promise(resolve => {
+            const timer = setTimeout(() => resolve(false), PRECALL_CONNECT_TIMEOUT_MS);
+            peerConnection.addEventListener('connectionstatechange', () => {
+                const state = peerConnection.connectionState;
+                if (state === 'connected' || state === 'failed') {
+                    clearTimeout(timer);
+                    resolve(state === 'connected');
+                }
+            });
+        });
+    }
+
+    startMicMeter(session, stream) {
+        if (stream.getAudioTracks().length === 0) return;
+
+        session.meter = new AudioLevelMeter(stream);
+        const fill = document.getElementById('precallMicLevel');
+        const draw = () => {
+            const level = session.meter.getLevel();
+            session.micPeak = Math.max(session.micPeak, level);
+            fill.style.width = `${Math.round(level * 100)}%`;
+            session.frame = requestAnimationFrame(draw);
+        };
+        draw();
+    }
+
+    checkDevices(session, stream) {
+        const camera = stream.getVideoTracks()[0];
+        const mic = stream.getAudioTracks()[0];
+        const settings = camera ? camera.getSettings() : {};
+
+        return {
+            camera: camera && camera.readyState === 'live' && !camera.muted
+                ? `✅ Camera: ${camera.label || 'working'} (${settings.width}x${settings.height})`
+                : '❌ Camera: no picture - check it isn\'t used by another app',
+            mic: !mic || mic.readyState !== 'live'
+                ? '❌ Microphone: not available'
+                : session.micPeak >= PRECALL_MIN_MIC_LEVEL
+                    ? `✅ Microphone: ${mic.label || 'working'}`
+                    : '⚠️ Microphone: we couldn\'t hear you - check it isn\'t muted'
+        };
+    }
+
+    showVerdict(network, devices) {
+        const lines = [devices.camera, devices.mic];
+
+        if (!network.connected) {
+            lines.push(`${PRECALL_VERDICTS.poor} - could not connect${network.viaRelay ? ' through the relay server' : ''}`);
+        } else {
+            lines.push(PRECALL_VERDICTS[network.level]);
+            if (network.stats) {
+                const { rtt, packet_loss: loss, jitter, available_outgoing_bitrate: available } = network.stats;
+                lines.push(`Latency ${Math.round(rtt)}ms · Loss ${loss.toFixed(1)}% · Jitter ${Math.round(jitter)}ms · ` +
+                    `Bitrate ${Math.round(network.peakBitrate)}kbps${available ? ` (up to ${available}kbps)` : ''}`);
+            }
+            if (!network.viaRelay) {
+                lines.push('No relay server is configured, so only this device was tested, not the network');
+            }
+        }
+
+        const type = network.level === 'poor' ? 'error' : network.level === 'medium' ? 'warning' : 'success';
+        this.showResults(lines, type);
+
+        // Suggest starting in low data mode
+        document.getElementById('precallLowData').classList.toggle('hidden', network.level !== 'poor');
+        console.log(`🩺 Pre-call check: ${network.level}`);
+    }
+
+    showResults(lines, type = 'info') {
+        const list = document.getElementById('precallResults');
+        list.innerHTML = '';
+        list.className = `precall-results precall-${type}`;
+
+        lines.forEach(line => {
+            const item = document.createElement('li');
+            item.textContent = line;
+            list.appendChild(item);
+        });
+    }
+
+    setRunning(running) {
+        const button = document.getElementById('runPrecallCheck');
+        button.disabled = running;
+        button.textContent = running ? '⏳ Testing...' : '🩺 Test my setup';
+        if (running) {
+            document.getElementById('precallLowData').classList.add('hidden');
+        }
+    }
+}
+
+// Export for use in main.js
+window.PreCallCheck = PreCallCheck;
@@ -0,0 +1,151 @@
+// Room Access
+// The client half of room access control: the lobby (waiting, admitted or
+// turned away), and the host's controls - letting people in, locking the
+// room and acting on participants through the roster. The server checks that
+// only the host can do any of it.
+const REJECT_REASONS = {
+    password: 'Wrong room password',
+    locked: 'The room is locked',
+    rejected: 'The host did not let you in',
+    closed: 'The meeting ended while you were waiting',
+    invalid: 'Enter a room name and your name to join'
+};
+
+class RoomAccess {
+    constructor(socket, { getRoom, getSelfId, roster, onLobby, onAdmitted, onRejected, onRemoved, onForceMute } = {}) {
+        this.socket = socket;
+        this.getRoom = getRoom;
+        this.getSelfId = getSelfId;
+        this.roster = roster;
+        this.onLobby = onLobby || (() => {});
+        this.onAdmitted = onAdmitted || (() => {});
+        this.onRejected = onRejected || (() => {});   // (message)
+        this.onRemoved = onRemoved || (() => {});     // (host's username)
+        this.onForceMute = onForceMute || (() => {}); // (host's username)
+        this.settings = null; // { host, locked, lobby, has_password }, see room_settings on the server
+        this.waiting = [];
+
+        this.setupSocketListeners();
+        this.setupUIEventListeners();
+    }
+
+    get isHost() {
+        return this.settings !== null && this.settings.host === this.getSelfId();
+    }
+
+    setupSocketListeners() {
+        this.socket.on('roster_snapshot', (data) => {
+            this.applySettings(data.settings);
+        });
+
+        this.socket.on('room_settings', (data) => {
+            this.applySettings(data);
+        });
+
+        this.socket.on('host_changed', (data) => {
+            if (!this.settings) return;
+            this.applySettings({ ...this.settings, host: data.sid });
+        });
+
+        this.socket.on('lobby_waiting', () => this.onLobby());
+        this.socket.on('join_admitted', () => this.onAdmitted());
+
+        this.socket.on('join_rejected', (data) => {
+            this.onRejected(REJECT_REASONS[data.reason] || 'You could not join the room');
+        });
+
+        this.socket.on('lobby_update', (data) => {
+            this.waiting = data.waiting;
+            this.renderLobby();
+        });
+
+        this.socket.on('removed', (data) => this.onRemoved(data.by));
+        this.socket.on('force_mute', (data) => this.onForceMute(data.by));
+    }
+
+    setupUIEventListeners() {
+        document.getElementById('lockRoom').onclick = () => {
+            this.emitHostAction('room_settings', { locked: !this.settings.locked });
+        };
+        document.getElementById('lobbyEnabled').addEventListener('change', (event) => {
+            this.emitHostAction('room_settings', { lobby: event.target.checked });
+        });
+    }
+
+    applySettings(settings) {
+        this.settings = settings;
+        this.roster.setHost(settings.host);
+
+        if (!this.isHost) {
+            this.waiting = [];
+        }
+        this.render();
+    }
+
+    // From the roster's per-participant buttons
+    hostAction(action, sid) {
+        const events = {
+            mute: 'host_mute',
+            remove: 'remove_participant',
+            'make-host': 'transfer_host'
+        };
+        if (events[action]) {
+            this.emitHostAction(events[action], { sid });
+        }
+    }
+
+    emitHostAction(event, data) {
+        if (!this.isHost) return;
+        this.socket.emit(event, { room: this.getRoom(), ...data });
+    }
+
+    // Left the room
+    clear() {
+        this.settings = null;
+        this.waiting = [];
+        this.render();
+    }
+
+    render() {
+        document.getElementById('hostControls').classList.toggle('hidden', !this.isHost);
+        if (this.settings) {
+            const lockButton = document.getElementById('lockRoom');
+            lockButton.textContent = this.settings.locked ? '🔓 Unlock room' : '🔒 Lock room';
+            document.getElementById('lobbyEnabled').checked = this.settings.lobby;
+        }
+        this.renderLobby();
+    }
+
+    renderLobby() {
+        const list = document.getElementById('lobbyList');
+        list.innerHTML = '';
+        document.getElementById('lobbyCount').textContent = this.waiting.length;
+
+        this.waiting.forEach(entry => {
+            const item = document.createElement('li');
+            item.className = 'roster-entry';
+
+            const name = document.createElement('span');
+            name.className = 'roster-name';
+            name.textContent = entry.username;
+
+            const actions = document.createElement('span');
+            actions.className = 'roster-actions';
+            const admit = document.createElement('button');
+            admit.className = 'btn btn-primary btn-small';
+            admit.textContent = '✔ Admit';
+            admit.onclick = () => this.emitHostAction('admit_participant', { sid: entry.sid });
+            const reject = document.createElement('button');
+            reject.className = 'btn btn-danger btn-small';
+            reject.textContent = '✖ Reject';
+            reject.onclick = () => this.emitHostAction('reject_participant', { sid: entry.sid });
+            actions.append(admit, reject);
+
+            item.append(name, actions);
+            list.appendChild(item);
+        });
+    }
+}
+
+// Export for use in main.js
+window.RoomAccess = RoomAccess;
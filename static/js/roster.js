@@ -0,0 +1,131 @@
+// Participant Roster
+// Keeps the room's participant list in sync with the signaling server (a full
+// snapshot on join, then joined/left/updated events) and renders it. The host
+// also gets mute / remove / make-host buttons, handed to onHostAction.
+const QUALITY_ICONS = {
+    good: '🟢',
+    medium: '🟡',
+    poor: '🔴'
+};
+
+class ParticipantRoster {
+    constructor({ onHostAction } = {}) {
+        this.onHostAction = onHostAction || (() => {}); // (action, sid)
+        this.participants = new Map(); // participant id -> participant
+        this.selfId = null;
+        this.hostId = null;
+    }
+
+    setHost(sid) {
+        this.hostId = sid;
+        this.render();
+    }
+
+    setSnapshot(participants, selfId) {
+        this.selfId = selfId;
+        this.participants.clear();
+        participants.forEach(participant => this.participants.set(participant.sid, { ...participant }));
+        this.render();
+    }
+
+    add(participant) {
+        this.participants.set(participant.sid, { ...participant });
+        this.render();
+    }
+
+    remove(sid) {
+        const participant = this.participants.get(sid);
+        this.participants.delete(sid);
+        this.render();
+        return participant;
+    }
+
+    update(sid, changes) {
+        const participant = this.participants.get(sid);
+        if (!participant) return null;
+
+        Object.assign(participant, changes);
+        this.render();
+        return participant;
+    }
+
+    get(sid) {
+        return this.participants.get(sid);
+    }
+
+    clear() {
+        this.participants.clear();
+        this.hostId = null;
+        this.render();
+    }
+
+    render() {
+        const list = document.getElementById('rosterList');
+        list.innerHTML = '';
+        document.getElementById('rosterCount').textContent = this.participants.size;
+
+        this.participants.forEach(participant => {
+            const item = document.createElement('li');
+            item.className = 'roster-entry';
+            item.classList.toggle('speaking', Boolean(participant.speaking));
+
+            const name = document.createElement('span');
+            name.className = 'roster-name';
+            name.textContent = participant.sid === this.selfId
+                ? `${participant.username} (you)`
+                : participant.username;
+            if (participant.sid === this.hostId) {
+                name.textContent += ' 👑';
+                name.title = 'Host';
+            }
+
+            const state = document.createElement('span');
+            state.className = 'roster-state';
+            state.textContent = [
+                participant.reconnecting ? '🔌' : '',
+                participant.speaking ? '🗣️' : '',
+                participant.audio_muted ? '🔇' : '🎤',
+                participant.video_stopped ? '🚫📹' : '📹',
+                participant.low_data ? '📱' : '',
+                QUALITY_ICONS[participant.quality] || '⚪'
+            ].filter(Boolean).join(' ');
+            state.title = [
+                participant.reconnecting ? 'Reconnecting' : null,
+                participant.audio_muted ? 'Muted' : 'Unmuted',
+                participant.video_stopped ? 'Video off' : 'Video on',
+                participant.low_data ? 'Low data mode' : null,
+                participant.quality ? `${participant.quality} connection` : 'Connection unknown'
+            ].filter(Boolean).join(', ');
+
+            item.append(name, state);
+            if (this.hostId === this.selfId && participant.sid !== this.selfId) {
+                item.appendChild(this.createHostActions(participant));
+            }
+            list.appendChild(item);
+        });
+    }
+
+    createHostActions(participant) {
+        const actions = document.createElement('span');
+        actions.className = 'roster-actions';
+
+        [
+            ['mute', '🔇', `Ask ${participant.username} to mute - their app mutes them, so it can't be enforced`],
+            ['remove', '✖', `Remove ${participant.username} from the call - they can only come back through the lobby`],
+            ['make-host', '👑', `Make ${participant.username} the host`]
+        ].forEach(([action, icon, label]) => {
+            const button = document.createElement('button');
+            button.className = 'btn btn-secondary btn-small';
+            button.textContent = icon;
+            button.title = label;
+            button.setAttribute('aria-label', label);
+            button.disabled = action === 'mute' && participant.audio_muted;
+            button.onclick = () => this.onHostAction(action, participant.sid);
+            actions.appendChild(button);
+        });
+        return actions;
+    }
+}
+
+// Export for use in main.js
+window.ParticipantRoster = ParticipantRoster;
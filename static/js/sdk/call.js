@@ -0,0 +1,654 @@
+// Call
+// A headless call: signaling over a Socket.IO socket, one RTCPeerConnection
+// per participant with perfect negotiation, ICE restarts, resuming after the
+// socket drops, and network quality monitoring. It never touches the page -
+// everything it learns comes out as events, so any page can show a call, and
+// a test can drive one with a mocked socket and RTCPeerConnection.
+//
+// Every event is a CustomEvent with its payload in `detail`:
+//   state-changed        { state, previous }, see CALL_STATES
+//   connected            { selfId, resumed, reconnected }
+//   disconnected         { reason }
+//   participants         { participants } - the full list on (re)joining, us included
+//   participant-joined   { participant, count }
+//   participant-left     { id, username, count }
+//   participant-updated  { id, changes, participant }
+//   peer-added           { id, peer } - our tracks are on it and no offer has gone out yet
+//   peer-state-changed   { id, peer, state } - 'connected', 'reconnecting' or 'failed'
+//   peer-removed         { id, peer }
+//   track-added          { id, track, streams, receiver }
+//   quality-sample       a NetworkQualityMonitor sample, for one peer
+//   quality-changed      { quality, previous, recommendation } - our worst level across peers
+//   adaptation           { id, previous, step } - see VIDEO_ADAPTATION_STEPS
+//   transcript           { id, username, text, ... } - a finished segment from anyone
+//   status               { message, type } - worth telling the user about
+import { NetworkQualityMonitor } from './network-monitor.js';
+
+// Call states. The aggregate state of every peer connection drives the
+// call; each state lists the states it may move to next.
+export const CALL_STATES = {
+    idle: { next: ['waiting'], label: 'Not in a call', inCall: false },
+    waiting: { next: ['connecting', 'lobby', 'rejected', 'idle'], label: 'Waiting for participants', inCall: true },
+    lobby: { next: ['waiting', 'rejected', 'idle'], label: 'Waiting for the host to let you in', inCall: true },
+    rejected: { next: ['waiting'], label: 'Not admitted', inCall: false },
+    connecting: { next: ['connected', 'reconnecting', 'failed', 'waiting', 'idle'], label: 'Connecting...', inCall: true },
+    connected: { next: ['connecting', 'reconnecting', 'failed', 'waiting', 'idle'], label: 'Connected', inCall: true },
+    reconnecting: { next: ['connected', 'connecting', 'failed', 'waiting', 'idle'], label: 'Reconnecting...', inCall: true },
+    failed: { next: ['connected', 'connecting', 'reconnecting', 'waiting', 'idle'], label: 'Connection failed', inCall: true }
+};
+
+// ICE restart backoff: 2s, 4s, 8s... capped at 30s, then give up
+const ICE_RESTART_BASE_DELAY = 2000;
+const ICE_RESTART_MAX_DELAY = 30000;
+const MAX_ICE_RESTARTS = 5;
+
+// How long to wait for the server to hand out ICE servers
+const ICE_SERVERS_TIMEOUT_MS = 5000;
+
+export class Call extends EventTarget {
+    constructor({
+        socket,
+        getLocalStream,
+        getRelayOnly,
+        getPeerConfiguration,
+        policy,
+        PeerConnection = globalThis.RTCPeerConnection
+    } = {}) {
+        super();
+        this.socket = socket;
+        this.getLocalStream = getLocalStream || (() => null);             // stream whose tracks every peer gets
+        this.getRelayOnly = getRelayOnly || (() => false);
+        this.getPeerConfiguration = getPeerConfiguration || (() => ({})); // extra RTCPeerConnection settings
+        this.policy = NetworkQualityMonitor.mergePolicy(policy);
+        this.PeerConnection = PeerConnection;
+        this.state = 'idle';
+        this.selfId = null; // our participant id, the same across reconnects
+        this.signalingLost = false; // the socket dropped and hasn't come back yet
+        this.rejoining = false;
+        this.room = null;
+        this.username = null;
+        this.joinOptions = null; // what we last joined with, to rejoin after a reconnect
+        this.presence = { quality: null }; // our own state as the room sees it, see setPresence
+        this.participants = new Map(); // participant id -> participant
+        this.peers = new Map(); // participant id -> peer, see createPeerConnection
+        this.earlyCandidates = new Map(); // participant id -> ICE candidates received before its peer existed
+        this.iceConfig = null; // ICE servers from the server, see getIceConfiguration
+        this.monitor = null;
+        this.lastDiagnostics = null; // report from the last finished call
+        this.videoLimit = null; // see NetworkQualityMonitor.setVideoLimit
+        this.quality = null; // worst quality level across our peer connections
+        this.peerQuality = new Map(); // participant id -> latest quality level
+
+        this.setupSocketListeners();
+    }
+
+    dispatch(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+
+    get isInCall() {
+        return CALL_STATES[this.state].inCall;
+    }
+
+    setupSocketListeners() {
+        this.socket.on('connected', (data) => {
+            console.log('✅ Connected to signaling server');
+            const reconnected = this.signalingLost;
+            this.selfId = data.sid;
+            this.signalingLost = false;
+
+            this.dispatch('connected', { selfId: this.selfId, resumed: Boolean(data.resumed), reconnected });
+            if (reconnected) {
+                this.resume(data.resumed);
+            }
+        });
+
+        // Socket.IO keeps retrying on its own; peer connections carry on meanwhile
+        this.socket.on('disconnect', (reason) => {
+            console.warn(`⚠️ Lost the signaling server: ${reason}`);
+            this.signalingLost = true;
+            this.dispatch('disconnected', { reason });
+        });
+
+        this.socket.on('roster_snapshot', (data) => {
+            this.participants.clear();
+            data.participants.forEach(participant => this.participants.set(participant.sid, { ...participant }));
+            this.dispatch('participants', { participants: data.participants });
+
+            // Newcomers call everyone already in the room, one connection per peer
+            if (this.isInCall) {
+                data.participants
+                    .filter(participant => participant.sid !== this.selfId)
+                    .forEach(participant => this.callPeer(participant.sid, participant.username));
+            }
+
+            if (this.rejoining) {
+                this.rejoining = false;
+                this.resumePeers(data.participants);
+            }
+        });
+
+        this.socket.on('user_joined', (data) => {
+            this.participants.set(data.participant.sid, { ...data.participant });
+            this.dispatch('participant-joined', { participant: data.participant, count: data.participants });
+        });
+
+        // The peer goes first, so whoever hears about it no longer counts them
+        this.socket.on('user_left', (data) => {
+            this.participants.delete(data.sid);
+            this.removePeer(data.sid);
+            this.dispatch('participant-left', { id: data.sid, username: data.username, count: data.participants });
+        });
+
+        this.socket.on('participant_updated', (data) => {
+            const participant = this.participants.get(data.sid);
+            if (participant) {
+                Object.assign(participant, data.changes);
+            }
+            this.dispatch('participant-updated', { id: data.sid, changes: data.changes, participant });
+
+            // Back on the signaling server, so they may have missed what we sent
+            if (data.changes.reconnecting === false) {
+                this.resumePeer(data.sid);
+            }
+        });
+
+        this.socket.on('lobby_waiting', () => this.setState('lobby'));
+        this.socket.on('join_admitted', () => this.setState('waiting'));
+
+        this.socket.on('offer', async (data) => {
+            console.log('📞 Received call offer');
+            await this.handleDescription(data, data.offer);
+        });
+
+        this.socket.on('answer', async (data) => {
+            console.log('📞 Received call answer');
+            await this.handleDescription(data, data.answer);
+        });
+
+        this.socket.on('ice_candidate', async (data) => {
+            await this.handleIceCandidate(data);
+        });
+
+        this.socket.on('transcript_update', (data) => {
+            this.dispatch('transcript', { id: data.sid, ...data });
+        });
+    }
+
+    // We're in the call from here on, even before anyone answers
+    start() {
+        this.setState('waiting');
+        this.startMonitoring();
+    }
+
+    // Join with our current state so the others' roster is right from the start.
+    // The password and lobby only matter to whoever opens the room.
+    join({ room, username, password = '', lobby = false, presence = {} }) {
+        this.room = room;
+        this.username = username;
+        this.joinOptions = { room, username, password, lobby };
+        this.presence = { ...this.presence, ...presence };
+        // Anything fetched before joining has no TURN servers; ask again once in
+        this.iceConfig = null;
+
+        this.socket.emit('join_room', { room, username, password, lobby, ...this.presence });
+    }
+
+    // Presence - tell the room about changes to our own state
+    setPresence(changes) {
+        this.presence = { ...this.presence, ...changes };
+        if (!this.room) return;
+
+        this.socket.emit('participant_state', {
+            room: this.room,
+            ...changes
+        });
+    }
+
+    // Also how we leave when turned away or removed; `state` is where we end up
+    leave({ state = 'idle' } = {}) {
+        if (this.monitor) {
+            this.monitor.stopMonitoring();
+            this.lastDiagnostics = this.monitor.getDiagnosticsReport();
+            this.monitor = null;
+        }
+
+        // Close every peer connection
+        Array.from(this.peers.keys()).forEach(peerId => this.removePeer(peerId));
+        this.earlyCandidates.clear();
+        this.rejoining = false;
+
+        // Let the others drop their connection to us
+        if (this.isInCall) {
+            this.socket.emit('leave_room', { room: this.room });
+            this.participants.clear();
+            this.setState(state);
+            this.quality = null;
+            this.presence.quality = null;
+        }
+    }
+
+    async callPeer(peerId, username) {
+        if (this.peers.has(peerId)) return;
+
+        try {
+            // Adding our tracks fires negotiationneeded, which sends the offer
+            await this.createPeerConnection(peerId, username);
+            console.log(`📤 Calling ${username}`);
+
+        } catch (error) {
+            console.error('❌ Error calling peer:', error);
+            this.dispatch('status', { message: `Error calling ${username}`, type: 'error' });
+        }
+    }
+
+    // TURN credentials only go to an admitted participant, so they're asked for
+    // over its socket
+    async getIceConfiguration() {
+        // Reuse the servers until their TURN credentials are halfway to expiry
+        if (this.iceConfig && Date.now() < this.iceConfig.refreshAt) {
+            return this.iceConfig;
+        }
+
+        try {
+            const config = await new Promise((resolve, reject) => {
+                const timer = setTimeout(() => reject(new Error('No reply from the server')), ICE_SERVERS_TIMEOUT_MS);
+                this.socket.emit('ice_servers', {}, (reply) => {
+                    clearTimeout(timer);
+                    reply ? resolve(reply) : reject(new Error('The server refused ICE servers'));
+                });
+            });
+            this.iceConfig = { ...config, refreshAt: Date.now() + (config.ttl * 1000) / 2 };
+        } catch (error) {
+            console.error('❌ Error fetching ICE servers:', error);
+            this.dispatch('status', {
+                message: 'Could not load ICE servers - only direct connections will work',
+                type: 'warning'
+            });
+            return { iceServers: [], iceTransportPolicy: 'all' };
+        }
+
+        return this.iceConfig;
+    }
+
+    async createPeerConnection(peerId, username) {
+        const iceConfig = await this.getIceConfiguration();
+        const relayOnly = this.getRelayOnly() || iceConfig.iceTransportPolicy === 'relay';
+        const hasTurn = iceConfig.iceServers.some(server =>
+            [].concat(server.urls).some(url => url.startsWith('turn'))
+        );
+        if (relayOnly && !hasTurn) {
+            this.dispatch('status', { message: 'Relay only is on but no TURN server is configured', type: 'warning' });
+        }
+
+        // Another offer may have set this peer up while we were fetching
+        if (this.peers.has(peerId)) {
+            return this.peers.get(peerId).connection;
+        }
+
+        const configuration = {
+            iceServers: iceConfig.iceServers,
+            iceTransportPolicy: relayOnly ? 'relay' : 'all',
+            ...this.getPeerConfiguration()
+        };
+
+        const peerConnection = new this.PeerConnection(configuration);
+        const peer = {
+            connection: peerConnection,
+            username: username || 'Remote Participant',
+            state: 'connecting',
+            // Perfect negotiation: both ends agree on who backs off in a glare
+            polite: this.selfId < peerId,
+            makingOffer: false,
+            ignoreOffer: false,
+            pendingCandidates: this.earlyCandidates.get(peerId) || [], // held until the remote description is set
+            restartAttempts: 0,
+            restartTimer: null
+        };
+        this.peers.set(peerId, peer);
+        this.earlyCandidates.delete(peerId);
+        this.updateState();
+
+        // Add local stream tracks
+        const localStream = this.getLocalStream();
+        if (localStream) {
+            localStream.getTracks().forEach(track => peerConnection.addTrack(track, localStream));
+        }
+
+        // Send an offer whenever the connection needs (re)negotiating
+        peerConnection.onnegotiationneeded = async () => {
+            try {
+                peer.makingOffer = true;
+                await peerConnection.setLocalDescription();
+                this.sendDescription(peerId, peerConnection.localDescription);
+                console.log(`📤 Sent call offer to ${peer.username}`);
+            } catch (error) {
+                console.error('❌ Error creating offer:', error);
+            } finally {
+                peer.makingOffer = false;
+            }
+        };
+
+        peerConnection.ontrack = (event) => {
+            this.dispatch('track-added', {
+                id: peerId,
+                track: event.track,
+                streams: event.streams,
+                receiver: event.receiver
+            });
+        };
+
+        // Handle ICE candidates
+        peerConnection.onicecandidate = (event) => {
+            if (event.candidate) {
+                this.socket.emit('ice_candidate', {
+                    room: this.room,
+                    target: peerId,
+                    candidate: event.candidate
+                });
+            }
+        };
+
+        // Handle connection state changes
+        peerConnection.onconnectionstatechange = () => {
+            const state = peerConnection.connectionState;
+            console.log(`🔄 Connection state (${peer.username}):`, state);
+
+            if (state === 'connected') {
+                clearTimeout(peer.restartTimer);
+                peer.restartTimer = null;
+                peer.restartAttempts = 0;
+                this.setPeerState(peerId, 'connected');
+            } else if (state === 'disconnected' || state === 'failed') {
+                this.setPeerState(peerId, 'reconnecting');
+                this.scheduleIceRestart(peerId);
+            }
+            this.updateState();
+        };
+
+        if (this.monitor) {
+            this.monitor.addPeer(peerId, peerConnection, peer.username);
+        }
+
+        // Negotiation only starts once this returns, so whatever the listeners
+        // add - data channels, frame transforms - is in the first offer
+        this.dispatch('peer-added', { id: peerId, peer });
+
+        return peerConnection;
+    }
+
+    setPeerState(peerId, state) {
+        const peer = this.peers.get(peerId);
+        if (!peer) return;
+
+        peer.state = state;
+        this.dispatch('peer-state-changed', { id: peerId, peer, state });
+    }
+
+    scheduleIceRestart(peerId) {
+        const peer = this.peers.get(peerId);
+        if (!peer || peer.restartTimer) return;
+
+        const delay = Math.min(ICE_RESTART_BASE_DELAY * 2 ** peer.restartAttempts, ICE_RESTART_MAX_DELAY);
+        peer.restartTimer = setTimeout(() => {
+            peer.restartTimer = null;
+            if (!this.peers.has(peerId) || peer.connection.connectionState === 'connected') return;
+
+            if (peer.restartAttempts >= MAX_ICE_RESTARTS) {
+                this.setPeerState(peerId, 'failed');
+                this.updateState();
+                return;
+            }
+
+            peer.restartAttempts++;
+            console.log(`🔁 Restarting ICE with ${peer.username} (attempt ${peer.restartAttempts})`);
+            peer.connection.restartIce();
+
+            // Back off further if this attempt doesn't bring the connection back
+            this.scheduleIceRestart(peerId);
+        }, delay);
+    }
+
+    // Back on the signaling server after losing it. If the server kept our
+    // place we rejoin as the same participant and keep every peer connection;
+    // if we were away too long the room has dropped us, so we start over.
+    resume(resumed) {
+        if (!this.isInCall) return;
+
+        if (!resumed) {
+            Array.from(this.peers.keys()).forEach(peerId => this.removePeer(peerId));
+            this.earlyCandidates.clear();
+            this.participants.clear();
+            this.setState('waiting');
+        }
+
+        // Called into the call without joining it ourselves, there's nothing to rejoin
+        if (this.joinOptions) {
+            this.rejoining = resumed;
+            this.join(this.joinOptions);
+        }
+    }
+
+    // The rejoin snapshot: drop peers who left while we were away, then
+    // catch up with those still here
+    resumePeers(participants) {
+        const present = new Set(participants.map(participant => participant.sid));
+        Array.from(this.peers.keys())
+            .filter(peerId => !present.has(peerId))
+            .forEach(peerId => this.removePeer(peerId));
+
+        this.peers.forEach((peer, peerId) => this.resumePeer(peerId));
+    }
+
+    // Signaling to or from a peer may have been lost while a socket was down
+    resumePeer(peerId) {
+        const peer = this.peers.get(peerId);
+        if (!peer) return;
+
+        const peerConnection = peer.connection;
+        if (peerConnection.signalingState === 'have-local-offer') {
+            // Our offer may never have arrived
+            this.sendDescription(peerId, peerConnection.localDescription);
+        } else if (['disconnected', 'failed'].includes(peerConnection.connectionState)) {
+            // Restarts may have been given up on while we couldn't signal them
+            clearTimeout(peer.restartTimer);
+            peer.restartTimer = null;
+            peer.restartAttempts = 0;
+            this.scheduleIceRestart(peerId);
+        }
+    }
+
+    // Work out the call state from the state of every peer connection
+    updateState() {
+        // Still in the lobby, there's no call yet
+        if (!this.isInCall || this.state === 'lobby') return;
+
+        const states = Array.from(this.peers.values()).map(peer => peer.state);
+        let next = 'waiting';
+        if (states.includes('reconnecting')) {
+            next = 'reconnecting';
+        } else if (states.includes('connected')) {
+            next = 'connected';
+        } else if (states.includes('connecting')) {
+            next = 'connecting';
+        } else if (states.length > 0) {
+            next = 'failed';
+        }
+
+        this.setState(next);
+    }
+
+    setState(next) {
+        if (next === this.state) return;
+
+        if (!CALL_STATES[this.state].next.includes(next)) {
+            console.warn(`⚠️ Ignoring call state change ${this.state} -> ${next}`);
+            return;
+        }
+
+        console.log(`📶 Call state: ${this.state} -> ${next}`);
+        const previous = this.state;
+        this.state = next;
+        this.dispatch('state-changed', { state: next, previous });
+    }
+
+    removePeer(peerId) {
+        const peer = this.peers.get(peerId);
+        if (!peer) return;
+
+        if (this.monitor) {
+            this.monitor.removePeer(peerId);
+        }
+
+        clearTimeout(peer.restartTimer);
+        this.peerQuality.delete(peerId);
+        peer.connection.close();
+        this.peers.delete(peerId);
+
+        console.log(`👋 Removed peer ${peer.username}`);
+        this.dispatch('peer-removed', { id: peerId, peer });
+        this.updateState();
+    }
+
+    startMonitoring() {
+        if (this.monitor) return;
+
+        this.monitor = new NetworkQualityMonitor(this.socket, {
+            policy: this.policy,
+            getRoom: () => this.room,
+            onAdaptation: (peerId, previous, step) => this.dispatch('adaptation', { id: peerId, previous, step })
+        });
+        this.monitor.setVideoLimit(this.videoLimit);
+        this.monitor.addSampleListener(sample => this.handleQualitySample(sample));
+        this.peers.forEach((peer, peerId) => {
+            this.monitor.addPeer(peerId, peer.connection, peer.username);
+        });
+        this.monitor.startMonitoring();
+        console.log('📊 Network monitoring started');
+    }
+
+    // Caps outgoing video on top of the monitor's own adaptation
+    setVideoLimit(limit) {
+        this.videoLimit = limit;
+        if (this.monitor) {
+            this.monitor.setVideoLimit(limit);
+        }
+    }
+
+    handleQualitySample(sample) {
+        this.dispatch('quality-sample', sample);
+        this.peerQuality.set(sample.peerId, sample.level);
+
+        const levels = Array.from(this.peerQuality.values());
+        const quality = ['poor', 'medium', 'good'].find(level => levels.includes(level)) || null;
+        if (quality !== this.quality) {
+            const previous = this.quality;
+            this.quality = quality;
+            this.setPresence({ quality });
+            this.dispatch('quality-changed', {
+                quality,
+                previous,
+                recommendation: quality ? this.policy.recommendations[quality] : null
+            });
+        }
+    }
+
+    sendDescription(peerId, description) {
+        // Offers and answers keep their own events, carried as `offer` / `answer`
+        this.socket.emit(description.type, {
+            room: this.room,
+            target: peerId,
+            username: this.username,
+            [description.type]: description
+        });
+    }
+
+    // Perfect negotiation: on an offer collision the impolite peer ignores the
+    // incoming offer and the polite one rolls back its own and answers
+    async handleDescription(data, description) {
+        try {
+            let peer = this.peers.get(data.from);
+            if (!peer) {
+                // Only someone in the room with us may call us, never before we're in
+                if (description.type !== 'offer' || !this.isInCall || !this.participants.has(data.from)) {
+                    console.warn(`⚠️ Ignoring ${description.type} from ${data.from}, who isn't in the call`);
+                    return;
+                }
+                await this.createPeerConnection(data.from, data.username);
+                peer = this.peers.get(data.from);
+            }
+
+            const peerConnection = peer.connection;
+            const offerCollision = description.type === 'offer' &&
+                (peer.makingOffer || peerConnection.signalingState !== 'stable');
+
+            peer.ignoreOffer = !peer.polite && offerCollision;
+            if (peer.ignoreOffer) {
+                console.log(`🚦 Ignoring colliding offer from ${peer.username}`);
+                return;
+            }
+
+            // An offer resent around a reconnect can be answered twice
+            if (description.type === 'answer' && peerConnection.signalingState !== 'have-local-offer') {
+                console.log(`🚦 Ignoring answer from ${peer.username}, who has already answered`);
+                return;
+            }
+
+            await peerConnection.setRemoteDescription(description);
+            await this.flushPendingCandidates(peer);
+
+            if (description.type === 'offer') {
+                await peerConnection.setLocalDescription();
+                this.sendDescription(data.from, peerConnection.localDescription);
+                console.log('📤 Sent call answer');
+            } else {
+                console.log('✅ Call answer processed');
+            }
+
+        } catch (error) {
+            console.error('❌ Error handling session description:', error);
+        }
+    }
+
+    async handleIceCandidate(data) {
+        if (!data.candidate) return;
+
+        // The offer may still be on its way, or the peer still being set up
+        const peer = this.peers.get(data.from);
+        if (!peer) {
+            if (!this.earlyCandidates.has(data.from)) {
+                this.earlyCandidates.set(data.from, []);
+            }
+            this.earlyCandidates.get(data.from).push(data.candidate);
+            return;
+        }
+
+        // Candidates can beat the offer here; hold them until it's applied
+        if (!peer.connection.remoteDescription) {
+            peer.pendingCandidates.push(data.candidate);
+            return;
+        }
+
+        try {
+            await peer.connection.addIceCandidate(data.candidate);
+        } catch (error) {
+            // Candidates for an offer we ignored are expected to fail
+            if (!peer.ignoreOffer) {
+                console.error('❌ Error handling ICE candidate:', error);
+            }
+        }
+    }
+
+    async flushPendingCandidates(peer) {
+        const candidates = peer.pendingCandidates;
+        peer.pendingCandidates = [];
+
+        for (const candidate of candidates) {
+            try {
+                await peer.connection.addIceCandidate(candidate);
+            } catch (error) {
+                console.error('❌ Error adding queued ICE candidate:', error);
+            }
+        }
+    }
+}
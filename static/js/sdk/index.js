@@ -0,0 +1,10 @@
+// SimpleConfer SDK
+// The call without the page: import from here to put a call in another app,
+// or to drive one in a test. main.js is one consumer of it.
+export { Call, CALL_STATES } from './call.js';
+export {
+    NetworkQualityMonitor,
+    DEFAULT_QUALITY_POLICY,
+    QUALITY_LEVELS,
+    VIDEO_ADAPTATION_STEPS
+} from './network-monitor.js';
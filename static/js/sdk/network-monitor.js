@@ -0,0 +1,455 @@
+// Outgoing video settings, from best to worst. The monitor steps down this
+// ladder as the link degrades and climbs back up one rung at a time.
+export const VIDEO_ADAPTATION_STEPS = [
+    { name: 'good', active: true, maxBitrate: 1500000, scaleResolutionDownBy: 1, maxFramerate: 30 },
+    { name: 'medium', active: true, maxBitrate: 500000, scaleResolutionDownBy: 2, maxFramerate: 20 },
+    { name: 'poor', active: true, maxBitrate: 150000, scaleResolutionDownBy: 4, maxFramerate: 10 },
+    { name: 'audio-only', active: false }
+];
+
+export const QUALITY_LEVELS = ['good', 'medium', 'poor'];
+const AUDIO_ONLY_AFTER_SAMPLES = 3;  // ~6s of sustained poor quality
+const STEP_UP_AFTER_SAMPLES = 5;     // ~10s of better quality before stepping up
+
+// Default classification policy. Each threshold is the worst value still
+// counted as that level; anything beyond `medium` is poor. Bitrate is a floor
+// rather than a ceiling and is off by default, since audio-only peers send
+// very little. Pass a partial policy to the constructor to override any of it.
+export const DEFAULT_QUALITY_POLICY = {
+    thresholds: {
+        packetLoss: { good: 2, medium: 5 },    // % lost in the last interval
+        rtt: { good: 150, medium: 300 },       // ms
+        jitter: { good: 30, medium: 50 },      // ms
+        bitrate: null                          // kbps received, e.g. { good: 300, medium: 100 }
+    },
+    smoothingWindow: 5,                        // EWMA over roughly the last N samples
+    recommendations: {
+        poor: 'Consider switching to audio-only mode',
+        medium: 'Video quality automatically reduced',
+        good: 'Optimal video quality available'
+    }
+};
+
+// Network Quality Monitoring Class (Based on your handwritten notes!)
+// Headless: samples go to sample listeners and video adaptations to
+// onAdaptation, for whoever shows them.
+export class NetworkQualityMonitor {
+    constructor(socket, options = {}) {
+        this.peerConnections = new Map(); // participant id -> RTCPeerConnection
+        this.adaptationStates = new Map(); // participant id -> { step, poorStreak, betterStreak }
+        this.smoothedMetrics = new Map(); // participant id -> EWMA of each metric
+        this.socket = socket;
+        this.policy = NetworkQualityMonitor.mergePolicy(options.policy);
+        this.reportTelemetry = options.reportTelemetry !== false;
+        this.getRoom = options.getRoom || (() => null); // room the telemetry is reported against
+        this.onAdaptation = options.onAdaptation || (() => {}); // (peerId, previous step name, step)
+        this.isMonitoring = false;
+        this.monitoringInterval = null;
+        this.lastStats = new Map(); // participant id -> RTP reports from the previous sample
+        this.sampleListeners = [];
+        this.videoLimit = null; // cap on top of the ladder, see setVideoLimit
+        
+        // Everything recorded for the call, kept for the diagnostics report
+        this.diagnostics = {
+            startedAt: new Date().toISOString(),
+            policy: this.policy,
+            peers: {},    // participant id -> { name, candidates, selectedPair, codecs }
+            samples: [],
+            events: []    // connection state changes, low data mode toggles...
+        };
+    }
+
+    static mergePolicy(policy = {}) {
+        return {
+            ...DEFAULT_QUALITY_POLICY,
+            ...policy,
+            thresholds: { ...DEFAULT_QUALITY_POLICY.thresholds, ...policy.thresholds },
+            recommendations: { ...DEFAULT_QUALITY_POLICY.recommendations, ...policy.recommendations }
+        };
+    }
+
+    addSampleListener(listener) {
+        this.sampleListeners.push(listener);
+    }
+
+    addPeer(peerId, peerConnection, name) {
+        this.peerConnections.set(peerId, peerConnection);
+        this.adaptationStates.set(peerId, { step: 0, poorStreak: 0, betterStreak: 0 });
+        
+        this.diagnostics.peers[peerId] = { name: name || peerId, candidates: {}, selectedPair: null, codecs: {} };
+        this.recordEvent('connection_state', { peerId, state: peerConnection.connectionState });
+        peerConnection.addEventListener('connectionstatechange', () => {
+            this.recordEvent('connection_state', { peerId, state: peerConnection.connectionState });
+        });
+    }
+
+    removePeer(peerId) {
+        this.peerConnections.delete(peerId);
+        this.adaptationStates.delete(peerId);
+        this.smoothedMetrics.delete(peerId);
+        this.lastStats.delete(peerId);
+    }
+
+    startMonitoring() {
+        if (this.isMonitoring) return;
+        
+        this.isMonitoring = true;
+        console.log('📊 Started network quality monitoring');
+        
+        // Monitor every 2 seconds
+        this.monitoringInterval = setInterval(async () => {
+            for (const [peerId, peerConnection] of this.peerConnections) {
+                if (peerConnection.connectionState === 'connected') {
+                    await this.collectStats(peerId, peerConnection);
+                }
+            }
+        }, 2000);
+    }
+
+    stopMonitoring() {
+        if (!this.isMonitoring) return;
+        
+        this.isMonitoring = false;
+        if (this.monitoringInterval) {
+            clearInterval(this.monitoringInterval);
+            this.monitoringInterval = null;
+        }
+        console.log('📊 Stopped network quality monitoring');
+    }
+
+    async collectStats(peerId, peerConnection) {
+        try {
+            const stats = await peerConnection.getStats();
+            this.recordTransport(peerId, stats);
+            const networkMetrics = this.analyzeStats(peerId, stats);
+
+            if (networkMetrics) {
+                const smoothed = this.smoothMetrics(peerId, networkMetrics);
+                const level = this.classify(smoothed);
+
+                this.handleQualitySample(peerId, {
+                    level,
+                    stats: smoothed,
+                    recommendation: this.policy.recommendations[level],
+                    transport: this.diagnostics.peers[peerId].selectedPair
+                });
+
+                // Optional telemetry - the server no longer decides quality
+                if (this.reportTelemetry) {
+                    this.socket.emit('network_stats', {
+                        room: this.getRoom(),
+                        peer: peerId,
+                        level,
+                        ...networkMetrics
+                    });
+                }
+            }
+        } catch (error) {
+            console.error('Error collecting network stats:', error);
+        }
+    }
+
+    handleQualitySample(peerId, data) {
+        this.adaptToQuality(peerId, data.level);
+        
+        const sample = { peerId, timestamp: Date.now(), ...data };
+        this.diagnostics.samples.push(sample);
+        this.sampleListeners.forEach(listener => listener(sample));
+    }
+
+    recordEvent(type, details = {}) {
+        this.diagnostics.events.push({ timestamp: Date.now(), type, ...details });
+    }
+
+    recordTransport(peerId, stats) {
+        const peer = this.diagnostics.peers[peerId];
+        if (!peer) return;
+        
+        let selectedPairId = null;
+        stats.forEach(report => {
+            if (report.type === 'transport' && report.selectedCandidatePairId) {
+                selectedPairId = report.selectedCandidatePairId;
+            }
+        });
+        
+        let selectedPair = null;
+        stats.forEach(report => {
+            if (report.type === 'local-candidate' || report.type === 'remote-candidate') {
+                // Addresses are left out on purpose, the report gets shared around
+                peer.candidates[report.id] = {
+                    side: report.type === 'local-candidate' ? 'local' : 'remote',
+                    candidateType: report.candidateType,
+                    protocol: report.protocol,
+                    relayProtocol: report.relayProtocol
+                };
+            }
+            
+            if (report.type === 'candidate-pair') {
+                const isSelected = selectedPairId
+                    ? report.id === selectedPairId
+                    : report.state === 'succeeded' && report.nominated;
+                if (isSelected) {
+                    selectedPair = report;
+                }
+            }
+            
+            if (report.type === 'codec') {
+                peer.codecs[report.id] = {
+                    mimeType: report.mimeType,
+                    clockRate: report.clockRate,
+                    channels: report.channels,
+                    sdpFmtpLine: report.sdpFmtpLine
+                };
+            }
+        });
+        
+        if (selectedPair && (!peer.selectedPair || peer.selectedPair.id !== selectedPair.id)) {
+            const local = peer.candidates[selectedPair.localCandidateId] || {};
+            const remote = peer.candidates[selectedPair.remoteCandidateId] || {};
+            peer.selectedPair = {
+                id: selectedPair.id,
+                local: local.candidateType,
+                remote: remote.candidateType,
+                protocol: local.protocol
+            };
+            this.recordEvent('selected_pair', { peerId, ...peer.selectedPair });
+        }
+    }
+
+    getDiagnosticsReport() {
+        return {
+            ...this.diagnostics,
+            endedAt: new Date().toISOString(),
+            userAgent: navigator.userAgent
+        };
+    }
+
+    // One row per sample, with the headline numbers; per-track detail is in the JSON
+    static reportToCSV(report) {
+        const columns = ['timestamp', 'peer', 'level', 'packet_loss', 'rtt', 'jitter',
+            'bitrate', 'send_bitrate', 'available_outgoing_bitrate', 'worst_track'];
+        const escape = value => {
+            const text = value === undefined || value === null ? '' : String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        
+        const rows = report.samples.map(sample => [
+            new Date(sample.timestamp).toISOString(),
+            (report.peers[sample.peerId] || {}).name || sample.peerId,
+            sample.level,
+            ...columns.slice(3).map(key => sample.stats[key])
+        ].map(escape).join(','));
+        
+        return [columns.join(','), ...rows].join('\n');
+    }
+
+    analyzeStats(peerId, stats) {
+        const previous = this.lastStats.get(peerId) || new Map();
+        const current = new Map(); // report id -> report, for the next interval's deltas
+        const tracks = [];
+        let rtt = 0;
+        let availableOutgoingBitrate;
+
+        stats.forEach(report => {
+            // Analyze every RTP stream, audio and video alike
+            if (report.type === 'inbound-rtp' || report.type === 'outbound-rtp') {
+                current.set(report.id, report);
+                tracks.push(this.analyzeTrack(report, previous.get(report.id)));
+            }
+
+            // Analyze candidate pair for RTT and send capacity
+            if (report.type === 'candidate-pair' && report.state === 'succeeded' && report.nominated !== false) {
+                if (report.currentRoundTripTime !== undefined) {
+                    rtt = report.currentRoundTripTime * 1000; // Convert to ms
+                }
+                if (report.availableOutgoingBitrate !== undefined) {
+                    availableOutgoingBitrate = Math.round(report.availableOutgoingBitrate / 1000); // kbps
+                }
+            }
+        });
+
+        this.lastStats.set(peerId, current);
+
+        const inbound = tracks.filter(track => track.direction === 'inbound');
+        const outbound = tracks.filter(track => track.direction === 'outbound');
+        const sum = (list, key) => list.reduce((total, track) => total + (track[key] || 0), 0);
+        const hasRates = list => list.length > 0 && list.every(track => track.bitrate !== undefined);
+
+        // The worst inbound track sets the headline loss and jitter
+        const worstTrack = inbound.reduce((worst, track) =>
+            !worst || track.packet_loss > worst.packet_loss ? track : worst, null);
+
+        return {
+            packet_loss: worstTrack ? worstTrack.packet_loss : 0,
+            rtt: Math.round(rtt),
+            jitter: Math.max(0, ...inbound.map(track => track.jitter)),
+            bitrate: hasRates(inbound) ? sum(inbound, 'bitrate') : undefined,      // kbps received
+            send_bitrate: hasRates(outbound) ? sum(outbound, 'bitrate') : undefined, // kbps sent
+            available_outgoing_bitrate: availableOutgoingBitrate,
+            worst_track: worstTrack && worstTrack.packet_loss > 0 ? worstTrack.kind : null,
+            bytes_received: sum(inbound, 'bytes'),
+            bytes_sent: sum(outbound, 'bytes'),
+            tracks
+        };
+    }
+
+    analyzeTrack(report, previous) {
+        const inbound = report.type === 'inbound-rtp';
+        const kind = report.kind || report.mediaType;
+        const bytesKey = inbound ? 'bytesReceived' : 'bytesSent';
+        const seconds = previous ? (report.timestamp - previous.timestamp) / 1000 : 0;
+
+        // Counters are reported per interval, not since the start of the call
+        const delta = key => previous ? Math.max(0, (report[key] || 0) - (previous[key] || 0)) : 0;
+
+        const track = {
+            id: report.id,
+            kind,
+            direction: inbound ? 'inbound' : 'outbound',
+            bitrate: seconds > 0 ? Math.round((delta(bytesKey) * 8) / seconds / 1000) : undefined,
+            bytes: report[bytesKey] || 0
+        };
+
+        if (inbound) {
+            const lost = delta('packetsLost');
+            const received = delta('packetsReceived');
+            track.packet_loss = lost + received > 0 ? Math.round((lost / (lost + received)) * 1000) / 10 : 0;
+            track.jitter = Math.round((report.jitter || 0) * 10000) / 10; // Convert to ms
+
+            if (kind === 'video') {
+                track.frames_decoded = delta('framesDecoded');
+                track.frames_dropped = delta('framesDropped');
+                track.freeze_count = delta('freezeCount');
+            } else {
+                track.concealed_samples = delta('concealedSamples');
+                const samples = delta('totalSamplesReceived');
+                track.concealment = samples > 0 ? Math.round((track.concealed_samples / samples) * 1000) / 10 : 0;
+            }
+        } else if (kind === 'video') {
+            track.frames_encoded = delta('framesEncoded');
+            track.quality_limitation = report.qualityLimitationReason || 'none';
+        }
+
+        return track;
+    }
+
+    smoothMetrics(peerId, metrics) {
+        const alpha = 2 / (this.policy.smoothingWindow + 1);
+        const previous = this.smoothedMetrics.get(peerId);
+        const smoothed = { ...metrics };
+
+        ['packet_loss', 'rtt', 'jitter', 'bitrate', 'send_bitrate'].forEach(key => {
+            if (metrics[key] === undefined || !previous || previous[key] === undefined) return;
+            smoothed[key] = alpha * metrics[key] + (1 - alpha) * previous[key];
+        });
+
+        this.smoothedMetrics.set(peerId, smoothed);
+        return smoothed;
+    }
+
+    classify(metrics) {
+        const { packetLoss, rtt, jitter, bitrate } = this.policy.thresholds;
+        const levelFor = (value, threshold, isFloor = false) => {
+            if (!threshold || value === undefined) return 0;
+            if (isFloor) {
+                return value < threshold.medium ? 2 : value < threshold.good ? 1 : 0;
+            }
+            return value > threshold.medium ? 2 : value > threshold.good ? 1 : 0;
+        };
+
+        // The worst metric decides the level
+        const worst = Math.max(
+            levelFor(metrics.packet_loss, packetLoss),
+            levelFor(metrics.rtt, rtt),
+            levelFor(metrics.jitter, jitter),
+            levelFor(metrics.bitrate, bitrate, true)
+        );
+        return QUALITY_LEVELS[worst];
+    }
+
+    async adaptToQuality(peerId, level) {
+        const state = this.adaptationStates.get(peerId);
+        const levelIndex = QUALITY_LEVELS.indexOf(level);
+        if (!state || levelIndex === -1) return;
+        
+        state.poorStreak = level === 'poor' ? state.poorStreak + 1 : 0;
+        // Audio-only sits below every quality level, so poor samples there aren't "better"
+        const currentLevel = Math.min(state.step, QUALITY_LEVELS.length - 1);
+        state.betterStreak = levelIndex < currentLevel ? state.betterStreak + 1 : 0;
+        
+        let nextStep = state.step;
+        if (state.poorStreak >= AUDIO_ONLY_AFTER_SAMPLES) {
+            // Sustained poor quality: stop sending video altogether
+            nextStep = VIDEO_ADAPTATION_STEPS.length - 1;
+        } else if (levelIndex > state.step) {
+            // Degrade straight away so the call stays usable
+            nextStep = levelIndex;
+        } else if (state.betterStreak >= STEP_UP_AFTER_SAMPLES) {
+            // Recover one step at a time so quality doesn't flap
+            nextStep = state.step - 1;
+        }
+        
+        if (nextStep === state.step) return;
+        
+        const previous = VIDEO_ADAPTATION_STEPS[state.step].name;
+        state.step = nextStep;
+        state.betterStreak = 0;
+        
+        try {
+            await this.applyVideoStep(this.peerConnections.get(peerId), VIDEO_ADAPTATION_STEPS[nextStep]);
+            this.onAdaptation(peerId, previous, VIDEO_ADAPTATION_STEPS[nextStep]);
+        } catch (error) {
+            console.error('Error adapting video quality:', error);
+        }
+    }
+
+    // Caps every rung of the ladder (low data mode's reduced video). Takes
+    // effect on each peer's next adaptation or refreshVideo.
+    setVideoLimit(limit) {
+        this.videoLimit = limit;
+    }
+
+    async refreshVideo(peerId) {
+        const state = this.adaptationStates.get(peerId);
+        if (!state) return;
+        
+        await this.applyVideoStep(this.peerConnections.get(peerId), VIDEO_ADAPTATION_STEPS[state.step]);
+    }
+
+    limitStep(step) {
+        const limit = this.videoLimit;
+        if (!limit || !step.active) return step;
+        
+        return {
+            ...step,
+            maxBitrate: Math.min(step.maxBitrate, limit.maxBitrate),
+            scaleResolutionDownBy: Math.max(step.scaleResolutionDownBy, limit.scaleResolutionDownBy),
+            maxFramerate: Math.min(step.maxFramerate, limit.maxFramerate)
+        };
+    }
+
+    async applyVideoStep(peerConnection, ladderStep) {
+        const step = this.limitStep(ladderStep);
+        
+        // Look the sender up through its transceiver so it is found even without a track
+        const transceiver = peerConnection.getTransceivers().find(t =>
+            t.receiver.track && t.receiver.track.kind === 'video'
+        );
+        if (!transceiver) return;
+        
+        const sender = transceiver.sender;
+        const parameters = sender.getParameters();
+        if (!parameters.encodings || parameters.encodings.length === 0) return;
+        
+        parameters.encodings.forEach(encoding => {
+            encoding.active = step.active;
+            if (step.active) {
+                encoding.maxBitrate = step.maxBitrate;
+                encoding.scaleResolutionDownBy = step.scaleResolutionDownBy;
+                encoding.maxFramerate = step.maxFramerate;
+            }
+        });
+        
+        await sender.setParameters(parameters);
+    }
+}
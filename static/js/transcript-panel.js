@@ -0,0 +1,188 @@
+// Meeting Transcript Panel
+// Shows the room's whole transcript, loaded from the server on join and kept
+// up to date from transcript_update. Supports searching with highlighted
+// matches and exporting as plain text, WebVTT, SRT or JSON.
+const CUE_MAX_SECONDS = 5; // longest a subtitle cue stays up without a next line
+
+class TranscriptPanel {
+    constructor(socket, { download } = {}) {
+        this.socket = socket;
+        this.download = download;
+        this.entries = [];
+        this.startedAt = null; // meeting start, epoch seconds
+        this.room = null;
+        this.query = '';
+
+        this.setupSocketListeners();
+        this.setupUIEventListeners();
+    }
+
+    setupSocketListeners() {
+        // Full history for late joiners
+        this.socket.on('transcript_history', (data) => {
+            this.room = data.room;
+            this.startedAt = data.started_at;
+            this.entries = data.entries;
+            this.render();
+        });
+
+        this.socket.on('transcript_update', (data) => {
+            this.entries.push(data);
+            this.render();
+        });
+    }
+
+    setupUIEventListeners() {
+        document.getElementById('transcriptSearch').addEventListener('input', (event) => {
+            this.query = event.target.value.trim();
+            this.render();
+        });
+
+        document.getElementById('exportTranscript').onclick = () => {
+            this.export(document.getElementById('transcriptExportFormat').value);
+        };
+    }
+
+    render() {
+        const list = document.getElementById('transcriptList');
+        const results = document.getElementById('transcriptResults');
+        list.innerHTML = '';
+        results.innerHTML = '';
+
+        const matches = [];
+        this.entries.forEach((entry, index) => {
+            const item = this.createEntryElement(entry);
+            item.id = `transcript-entry-${index}`;
+            list.appendChild(item);
+
+            if (this.query && entry.text.toLowerCase().includes(this.query.toLowerCase())) {
+                matches.push(index);
+            }
+        });
+
+        // Clicking a search result jumps to that line in the transcript
+        matches.forEach(index => {
+            const result = this.createEntryElement(this.entries[index]);
+            result.onclick = () => this.jumpTo(index);
+            results.appendChild(result);
+        });
+
+        document.getElementById('transcriptMatches').textContent = this.query
+            ? `${matches.length} match${matches.length === 1 ? '' : 'es'}`
+            : '';
+
+        if (!this.query) {
+            list.scrollTop = list.scrollHeight;
+        }
+    }
+
+    createEntryElement(entry) {
+        const item = document.createElement('li');
+        item.className = 'transcript-entry';
+
+        const time = document.createElement('span');
+        time.className = 'transcript-time';
+        time.textContent = `[${entry.timestamp}]`;
+
+        const name = document.createElement('strong');
+        name.textContent = `${entry.username}: `;
+
+        item.append(time, ' ', name, ...this.highlight(entry.text));
+        return item;
+    }
+
+    // Split text into plain and <mark>ed nodes - never through innerHTML
+    highlight(text) {
+        if (!this.query) return [text];
+
+        const nodes = [];
+        const lower = text.toLowerCase();
+        const needle = this.query.toLowerCase();
+        let position = 0;
+        let found = lower.indexOf(needle);
+        while (found !== -1) {
+            nodes.push(text.slice(position, found));
+            const mark = document.createElement('mark');
+            mark.textContent = text.slice(found, found + needle.length);
+            nodes.push(mark);
+            position = found + needle.length;
+            found = lower.indexOf(needle, position);
+        }
+        nodes.push(text.slice(position));
+        return nodes;
+    }
+
+    jumpTo(index) {
+        const item = document.getElementById(`transcript-entry-${index}`);
+        if (!item) return;
+
+        item.scrollIntoView({ block: 'center', behavior: 'smooth' });
+        item.classList.add('flash');
+        setTimeout(() => item.classList.remove('flash'), 1500);
+    }
+
+    export(format) {
+        if (this.entries.length === 0) return;
+
+        const name = `transcript-${this.room || 'meeting'}`;
+        const exporters = {
+            txt: () => [this.toText(), 'text/plain'],
+            vtt: () => [this.toSubtitles('vtt'), 'text/vtt'],
+            srt: () => [this.toSubtitles('srt'), 'application/x-subrip'],
+            json: () => [JSON.stringify({
+                room: this.room,
+                started_at: this.startedAt,
+                entries: this.entries
+            }, null, 2), 'application/json']
+        };
+
+        const [content, type] = exporters[format]();
+        this.download(`${name}.${format}`, content, type);
+    }
+
+    toText() {
+        return this.entries
+            .map(entry => `[${entry.timestamp}] ${entry.username}: ${entry.text}`)
+            .join('\n');
+    }
+
+    // Cue times are relative to the start of the meeting; each cue lasts
+    // until the next line starts, capped at CUE_MAX_SECONDS
+    toSubtitles(format) {
+        const start = this.startedAt || (this.entries[0] && this.entries[0].time) || 0;
+        const cues = this.entries.map((entry, index) => {
+            const next = this.entries[index + 1];
+            const from = Math.max(0, entry.time - start);
+            const to = next
+                ? Math.min(Math.max(next.time - start, from + 0.5), from + CUE_MAX_SECONDS)
+                : from + CUE_MAX_SECONDS;
+            const timing = `${TranscriptPanel.formatTime(from, format)} --> ${TranscriptPanel.formatTime(to, format)}`;
+
+            return format === 'srt'
+                ? `${index + 1}\n${timing}\n${entry.username}: ${entry.text}`
+                : `${timing}\n<v ${TranscriptPanel.escapeVtt(entry.username)}>${TranscriptPanel.escapeVtt(entry.text)}`;
+        });
+
+        return format === 'srt'
+            ? cues.join('\n\n') + '\n'
+            : `WEBVTT\n\n${cues.join('\n\n')}\n`;
+    }
+
+    static escapeVtt(text) {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+
+    // hh:mm:ss.mmm for WebVTT, hh:mm:ss,mmm for SRT
+    static formatTime(seconds, format) {
+        const totalMs = Math.round(seconds * 1000);
+        const pad = (value, length = 2) => String(value).padStart(length, '0');
+        const hours = Math.floor(totalMs / 3600000);
+        const minutes = Math.floor((totalMs % 3600000) / 60000);
+        const secs = Math.floor((totalMs % 60000) / 1000);
+        const ms = totalMs % 1000;
+        return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${format === 'srt' ? ',' : '.'}${pad(ms, 3)}`;
+    }
+}
+
+// Export for use in main.js
+window.TranscriptPanel = TranscriptPanel;
@@ -0,0 +1,165 @@
+// Live Transcription
+// Runs the browser's speech recognition on the local microphone. Only newly
+// finalized segments go to the server, each with a sequence number; other
+// speakers' captions come back through the call's transcript event.
+// Recognition listens to the microphone itself, not our outgoing track, so
+// muting pauses it and drops whatever it was still working on.
+const TRANSCRIPT_LANGUAGE_KEY = 'simpleconfer.transcriptLanguage';
+
+class TranscriptionController {
+    constructor(socket, { getRoom, getUsername, getSelfId, onCaption } = {}) {
+        this.socket = socket;
+        this.getRoom = getRoom;
+        this.getUsername = getUsername;
+        this.getSelfId = getSelfId; // our participant id, which outlives the socket's
+        this.onCaption = onCaption || (() => {}); // (sid, text, isFinal)
+        this.recognition = null;
+        this.isTranscribing = false;
+        this.isListening = false; // recognition running, between start() and onend
+        this.isMuted = false;
+        this.sequence = 0;
+        this.finalText = '';
+        this.language = localStorage.getItem(TRANSCRIPT_LANGUAGE_KEY) || navigator.language || 'en-US';
+
+        this.setupUIEventListeners();
+    }
+
+    static isSupported() {
+        return 'SpeechRecognition' in window || 'webkitSpeechRecognition' in window;
+    }
+
+    setupUIEventListeners() {
+        const languageSelect = document.getElementById('transcriptLanguage');
+        if (!Array.from(languageSelect.options).some(option => option.value === this.language)) {
+            languageSelect.add(new Option(this.language, this.language));
+        }
+        languageSelect.value = this.language;
+        languageSelect.onchange = () => this.setLanguage(languageSelect.value);
+
+        document.getElementById('startTranscription').onclick = () => this.start();
+        document.getElementById('stopTranscription').onclick = () => this.stop();
+
+        if (!TranscriptionController.isSupported()) {
+            document.getElementById('startTranscription').disabled = true;
+            document.getElementById('startTranscription').title = 'Speech recognition is not supported in this browser';
+        }
+    }
+
+    setLanguage(language) {
+        this.language = language;
+        localStorage.setItem(TRANSCRIPT_LANGUAGE_KEY, language);
+
+        // Recognition picks up the language when it starts
+        if (this.isTranscribing) {
+            this.recognition.stop();
+        }
+    }
+
+    start() {
+        if (this.isTranscribing) return;
+        if (!TranscriptionController.isSupported()) {
+            console.warn('Speech Recognition not supported');
+            return;
+        }
+
+        const Recognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+        this.recognition = new Recognition();
+        this.recognition.continuous = true;
+        this.recognition.interimResults = true;
+
+        this.recognition.onresult = (event) => this.handleResult(event);
+
+        this.recognition.onerror = (event) => {
+            console.error('Speech recognition error', event.error);
+            if (event.error === 'not-allowed' || event.error === 'service-not-allowed') {
+                this.stop();
+            }
+        };
+
+        // Recognition stops on its own after a while; restart for continuous captions
+        this.recognition.onend = () => {
+            this.isListening = false;
+            if (this.isTranscribing && !this.isMuted) {
+                this.listen();
+            }
+        };
+
+        this.isTranscribing = true;
+        if (!this.isMuted) {
+            this.listen();
+        }
+        console.log(`📝 Transcription started (${this.language})`);
+    }
+
+    listen() {
+        this.recognition.lang = this.language;
+        this.recognition.start();
+        this.isListening = true;
+    }
+
+    // Nothing said while muted may reach the room. abort() throws away results
+    // still in progress, where stop() would finalize and send them.
+    setMuted(muted) {
+        this.isMuted = muted;
+        if (!this.isTranscribing) return;
+
+        if (muted) {
+            if (this.isListening) {
+                this.recognition.abort();
+            }
+        } else if (!this.isListening) {
+            // Otherwise onend is still to come, and restarts it
+            this.listen();
+        }
+    }
+
+    stop() {
+        if (!this.recognition) return;
+
+        this.isTranscribing = false;
+        this.isListening = false;
+        this.recognition.stop();
+        this.recognition = null;
+        console.log('📝 Transcription stopped');
+    }
+
+    handleResult(event) {
+        // Results can still arrive between abort() and onend
+        if (this.isMuted) return;
+
+        let interimTranscript = '';
+        for (let i = event.resultIndex; i < event.results.length; ++i) {
+            const transcript = event.results[i][0].transcript;
+            if (event.results[i].isFinal) {
+                this.sendSegment(transcript);
+            } else {
+                interimTranscript += transcript;
+            }
+        }
+
+        // Show transcripts live on UI
+        document.getElementById('liveTranscript').innerText = this.finalText + interimTranscript;
+        if (interimTranscript) {
+            this.onCaption(this.getSelfId(), interimTranscript, false);
+        }
+    }
+
+    sendSegment(text) {
+        const segment = text.trim();
+        if (!segment) return;
+
+        this.finalText += segment + ' ';
+        this.sequence++;
+        this.socket.emit('audio_transcript', {
+            room: this.getRoom(),
+            username: this.getUsername(),
+            text: segment,
+            seq: this.sequence,
+            language: this.language
+        });
+        this.onCaption(this.getSelfId(), segment, true);
+    }
+}
+
+// Export for use in main.js
+window.TranscriptionController = TranscriptionController;
@@ -0,0 +1,310 @@
+// Video Effects
+// An optional step between the camera and the call: background blur, a
+// replacement background image and low-light correction, drawn onto a canvas
+// whose captured track is what gets sent. Everything runs on the CPU - the
+// person is cut out with MediaPipe's selfie segmenter on its CPU delegate, and
+// blur is a downscale/upscale rather than a canvas filter.
+const EFFECTS_STORAGE_KEY = 'simpleconfer.effects';
+
+// Served from static/vendor, pinned to a version - see its README
+const MEDIAPIPE_URL = new URL('../vendor/mediapipe/', document.currentScript.src).href;
+const SEGMENTER_BASE_URL = `${MEDIAPIPE_URL}tasks-vision-0.10.14`;
+const SEGMENTER_MODEL_URL = `${MEDIAPIPE_URL}models/selfie_segmenter.tflite`;
+
+// Processing cost levels. The reduced level draws fewer frames and only
+// re-segments every few of them, reusing the last mask in between.
+const EFFECT_LEVELS = {
+    full: { fps: 24, segmentEvery: 1, blurWidth: 48 },
+    reduced: { fps: 15, segmentEvery: 3, blurWidth: 32 }
+};
+
+const LOW_LIGHT_TARGET = 110;      // average luma (0-255) to brighten towards
+const LOW_LIGHT_MAX_GAIN = 2;
+const LOW_LIGHT_EVERY = 15;        // frames between brightness measurements
+
+class VideoEffects {
+    constructor({ onChange, onStatus } = {}) {
+        this.onChange = onChange || (() => {});   // settings changed, re-apply the pipeline
+        this.onStatus = onStatus || (() => {});   // (message, type)
+        this.settings = { mode: 'none', level: 'full', lowLight: false, ...VideoEffects.loadSettings() };
+        this.backgroundImage = null;
+        this.segmenter = null;
+        this.segmenterLoading = null;
+
+        this.input = null;   // raw camera track
+        this.output = null;  // processed canvas track
+        this.video = null;
+        this.timer = null;
+        this.frame = 0;
+        this.gain = 1;
+
+        this.canvas = document.createElement('canvas');
+        this.personCanvas = document.createElement('canvas');
+        this.maskCanvas = document.createElement('canvas');
+        this.blurCanvas = document.createElement('canvas');
+        this.lightCanvas = document.createElement('canvas');
+        this.lightCanvas.width = 16;
+        this.lightCanvas.height = 9;
+        this.maskData = null;
+
+        this.setupUIEventListeners();
+    }
+
+    static loadSettings() {
+        try {
+            return JSON.parse(localStorage.getItem(EFFECTS_STORAGE_KEY)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    static supportsFilter() {
+        return 'filter' in CanvasRenderingContext2D.prototype;
+    }
+
+    setupUIEventListeners() {
+        const mode = document.getElementById('effectMode');
+        const level = document.getElementById('effectLevel');
+        const lowLight = document.getElementById('lowLightCorrection');
+
+        mode.value = this.settings.mode === 'image' ? 'none' : this.settings.mode; // the image isn't saved
+        this.settings.mode = mode.value;
+        level.value = this.settings.level;
+        lowLight.checked = this.settings.lowLight;
+
+        mode.onchange = () => this.update({ mode: mode.value });
+        level.onchange = () => this.update({ level: level.value });
+        lowLight.onchange = () => this.update({ lowLight: lowLight.checked });
+
+        document.getElementById('effectImage').addEventListener('change', async (event) => {
+            const file = event.target.files[0];
+            if (!file) return;
+
+            try {
+                this.backgroundImage = await createImageBitmap(file);
+                mode.value = 'image';
+                this.update({ mode: 'image' });
+            } catch (error) {
+                console.error('❌ Error loading background image:', error);
+                this.onStatus('That image could not be loaded', 'error');
+            }
+        });
+
+        if (!VideoEffects.supportsFilter()) {
+            lowLight.disabled = true;
+            lowLight.parentElement.title = 'Low-light correction is not supported in this browser';
+        }
+    }
+
+    update(changes) {
+        Object.assign(this.settings, changes);
+        localStorage.setItem(EFFECTS_STORAGE_KEY, JSON.stringify(this.settings));
+
+        if (this.settings.mode !== 'none') {
+            this.loadSegmenter();
+        }
+        if (this.isActive) {
+            this.restartTimer();
+        }
+        this.onChange();
+    }
+
+    // Whether any effect is switched on
+    get enabled() {
+        return this.settings.mode !== 'none' || (this.settings.lowLight && VideoEffects.supportsFilter());
+    }
+
+    get isActive() {
+        return this.output !== null;
+    }
+
+    loadSegmenter() {
+        if (!this.segmenterLoading) {
+            this.segmenterLoading = (async () => {
+                const { ImageSegmenter } = await import(`${SEGMENTER_BASE_URL}/vision_bundle.mjs`);
+                // Only the SIMD build is vendored; every browser we support has SIMD
+                const fileset = {
+                    wasmLoaderPath: `${SEGMENTER_BASE_URL}/wasm/vision_wasm_internal.js`,
+                    wasmBinaryPath: `${SEGMENTER_BASE_URL}/wasm/vision_wasm_internal.wasm`
+                };
+                this.segmenter = await ImageSegmenter.createFromOptions(fileset, {
+                    baseOptions: { modelAssetPath: SEGMENTER_MODEL_URL, delegate: 'CPU' },
+                    runningMode: 'VIDEO',
+                    outputCategoryMask: false,
+                    outputConfidenceMasks: true
+                });
+                console.log('🎭 Background segmenter loaded');
+            })().catch(error => {
+                console.error('❌ Error loading background segmenter:', error);
+                this.segmenterLoading = null;
+                this.onStatus('Background effects are unavailable - could not load the segmenter', 'error');
+                document.getElementById('effectMode').value = 'none';
+                this.update({ mode: 'none' });
+            });
+        }
+        return this.segmenterLoading;
+    }
+
+    // Returns the processed track to send instead of the camera's
+    start(cameraTrack) {
+        this.setInput(cameraTrack);
+        if (this.settings.mode !== 'none') {
+            this.loadSegmenter();
+        }
+
+        this.output = this.canvas.captureStream().getVideoTracks()[0]; // a frame whenever we draw one
+        this.restartTimer();
+        console.log('🎭 Video effects started');
+        return this.output;
+    }
+
+    // Hands back the camera track; the caller swaps it in, then stops the
+    // processed one
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.output = null;
+
+        const cameraTrack = this.input;
+        this.input = null;
+        if (this.video) {
+            this.video.srcObject = null;
+            this.video = null;
+        }
+        console.log('🎭 Video effects stopped');
+        return cameraTrack;
+    }
+
+    // A new camera while effects are on; the processed track stays the same
+    setInput(cameraTrack) {
+        if (this.input && this.input !== cameraTrack) {
+            this.input.stop();
+        }
+        this.input = cameraTrack;
+
+        this.video = this.video || document.createElement('video');
+        this.video.muted = true;
+        this.video.playsInline = true;
+        this.video.srcObject = new MediaStream([cameraTrack]);
+        this.video.play().catch(() => {});
+    }
+
+    restartTimer() {
+        clearInterval(this.timer);
+        this.timer = setInterval(() => this.drawFrame(), 1000 / EFFECT_LEVELS[this.settings.level].fps);
+    }
+
+    drawFrame() {
+        const video = this.video;
+        // Nothing to do while the video is stopped or still starting
+        if (!video || !this.output.enabled || video.readyState < 2 || video.videoWidth === 0) return;
+
+        const width = video.videoWidth;
+        const height = video.videoHeight;
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = this.personCanvas.width = width;
+            this.canvas.height = this.personCanvas.height = height;
+        }
+
+        const level = EFFECT_LEVELS[this.settings.level];
+        const context = this.canvas.getContext('2d');
+        this.frame++;
+
+        if (this.settings.lowLight && this.frame % LOW_LIGHT_EVERY === 1) {
+            this.measureBrightness(video);
+        }
+        const light = this.settings.lowLight && this.gain > 1.05 ? `brightness(${this.gain.toFixed(2)})` : 'none';
+
+        const useMask = this.settings.mode !== 'none' && this.segmenter;
+        if (useMask && (this.frame % level.segmentEvery === 0 || !this.maskData)) {
+            this.segment(video);
+        }
+
+        if (!useMask || !this.maskData) {
+            // Low-light only, or the segmenter is still loading
+            context.filter = light;
+            context.drawImage(video, 0, 0, width, height);
+            context.filter = 'none';
+            return;
+        }
+
+        // Background: the camera blurred, or the chosen image cropped to fill
+        context.filter = light;
+        if (this.settings.mode === 'image' && this.backgroundImage) {
+            const image = this.backgroundImage;
+            const scale = Math.max(width / image.width, height / image.height);
+            context.drawImage(image,
+                (width - image.width * scale) / 2, (height - image.height * scale) / 2,
+                image.width * scale, image.height * scale);
+        } else {
+            this.drawBlurred(context, video, width, height, level.blurWidth);
+        }
+
+        // Person: the camera frame, kept only where the mask says someone is
+        const person = this.personCanvas.getContext('2d');
+        person.globalCompositeOperation = 'copy';
+        person.drawImage(video, 0, 0, width, height);
+        person.globalCompositeOperation = 'destination-in';
+        person.drawImage(this.maskCanvas, 0, 0, width, height);
+
+        context.drawImage(this.personCanvas, 0, 0);
+        context.filter = 'none';
+    }
+
+    // Shrinking and stretching back up is a cheap blur that needs no filter support
+    drawBlurred(context, video, width, height, blurWidth) {
+        const blurHeight = Math.max(1, Math.round(blurWidth * height / width));
+        this.blurCanvas.width = blurWidth;
+        this.blurCanvas.height = blurHeight;
+
+        const blur = this.blurCanvas.getContext('2d');
+        blur.drawImage(video, 0, 0, blurWidth, blurHeight);
+        context.imageSmoothingEnabled = true;
+        context.imageSmoothingQuality = 'low';
+        context.drawImage(this.blurCanvas, 0, 0, width, height);
+    }
+
+    // Person confidence from the segmenter, as the alpha of maskCanvas
+    segment(video) {
+        try {
+            this.segmenter.segmentForVideo(video, performance.now(), (result) => {
+                const mask = result.confidenceMasks && result.confidenceMasks[0];
+                if (!mask) return;
+
+                if (this.maskCanvas.width !== mask.width || this.maskCanvas.height !== mask.height || !this.maskData) {
+                    this.maskCanvas.width = mask.width;
+                    this.maskCanvas.height = mask.height;
+                    this.maskData = new ImageData(mask.width, mask.height);
+                }
+
+                const confidence = mask.getAsFloat32Array();
+                const pixels = this.maskData.data;
+                for (let i = 0; i < confidence.length; i++) {
+                    pixels[i * 4 + 3] = confidence[i] * 255;
+                }
+                this.maskCanvas.getContext('2d').putImageData(this.maskData, 0, 0);
+            });
+        } catch (error) {
+            console.error('Error segmenting video frame:', error);
+        }
+    }
+
+    // Average brightness of a tiny copy of the frame, eased towards its new gain
+    measureBrightness(video) {
+        const light = this.lightCanvas.getContext('2d', { willReadFrequently: true });
+        light.drawImage(video, 0, 0, this.lightCanvas.width, this.lightCanvas.height);
+        const pixels = light.getImageData(0, 0, this.lightCanvas.width, this.lightCanvas.height).data;
+
+        let luma = 0;
+        for (let i = 0; i < pixels.length; i += 4) {
+            luma += 0.299 * pixels[i] + 0.587 * pixels[i + 1] + 0.114 * pixels[i + 2];
+        }
+        luma /= pixels.length / 4;
+
+        const target = Math.min(LOW_LIGHT_MAX_GAIN, Math.max(1, LOW_LIGHT_TARGET / Math.max(luma, 1)));
+        this.gain = 0.7 * this.gain + 0.3 * target;
+    }
+}
+
+// Export for use in main.js
+window.VideoEffects = VideoEffects;
@@ -0,0 +1,245 @@
+// Signaling between several clients in one room: joining, glare, leaving,
+// losing the socket and ICE restarts
+import { after, afterEach, before, beforeEach, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RECONNECT_GRACE_SECONDS, closeClients, delay, joinRoom, settle, startServer, waitFor } from './harness.js';
+
+let server;
+before(async () => {
+    server = await startServer();
+});
+after(() => server.stop());
+
+beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.timers.enable({ apis: ['setInterval', 'setTimeout'] });
+});
+afterEach(() => {
+    closeClients();
+    mock.timers.reset();
+    mock.restoreAll();
+});
+
+describe('joining', () => {
+    test('the newcomer calls everyone already in the room', async () => {
+        const [alice, bob, carol] = await joinRoom(server, ['Alice', 'Bob', 'Carol']);
+
+        for (const [client, others] of [[alice, [bob, carol]], [bob, [alice, carol]], [carol, [alice, bob]]]) {
+            assert.deepEqual(Array.from(client.call.peers.keys()).sort(), others.map(other => other.id).sort());
+            others.forEach(other => assert.equal(client.connection(other).signalingState, 'stable'));
+        }
+
+        // Only the newcomer offers, so each pair negotiated once
+        assert.equal(alice.sent('offer').length, 0);
+        assert.equal(bob.sent('offer').length, 1);
+        assert.equal(carol.sent('offer').length, 2);
+        assert.equal(alice.call.state, 'connecting');
+    });
+
+    test('the call is connected once a peer connection is', async () => {
+        const [alice, bob] = await joinRoom(server, ['Alice', 'Bob'], { connected: true });
+
+        assert.equal(alice.call.state, 'connected');
+        assert.equal(bob.call.state, 'connected');
+        assert.deepEqual(alice.eventsOf('state-changed').map(change => change.state), ['waiting', 'connecting', 'connected']);
+    });
+
+    test('offers from outside the call are ignored', async () => {
+        const [alice] = await joinRoom(server, ['Alice']);
+
+        await alice.call.handleDescription({ from: 'stranger', username: 'Mallory' }, { type: 'offer', sdp: 'offer 1' });
+
+        assert.equal(alice.call.peers.size, 0);
+    });
+
+    test('the server only relays between participants of the same room', async () => {
+        const [alice, bob] = await joinRoom(server, ['Alice', 'Bob']);
+        const [mallory] = await joinRoom(server, ['Mallory']);
+
+        mallory.socket.emit('offer', { room: mallory.call.room, target: alice.id, offer: { type: 'offer', sdp: 'offer 1' } });
+        mallory.socket.emit('offer', { room: alice.call.room, target: bob.id, offer: { type: 'offer', sdp: 'offer 1' } });
+        await settle();
+
+        const fromMallory = client => client.receivedOf('offer').filter(offer => offer.from === mallory.id);
+        assert.deepEqual(fromMallory(alice), []);
+        assert.deepEqual(fromMallory(bob), []);
+        assert.equal(alice.call.peers.has(mallory.id), false);
+    });
+});
+
+describe('glare', () => {
+    test('the polite peer rolls back its offer and both ends renegotiate', async () => {
+        const [alice, bob] = await joinRoom(server, ['Alice', 'Bob'], { connected: true });
+        const [polite, impolite] = alice.peer(bob).polite ? [alice, bob] : [bob, alice];
+        const politeConnection = polite.connection(impolite);
+        const impoliteConnection = impolite.connection(polite);
+        assert.equal(impolite.peer(polite).polite, false);
+
+        // Both ends restart at once, so their offers cross
+        politeConnection.restartIce();
+        impoliteConnection.restartIce();
+        await settle();
+
+        assert.equal(politeConnection.rollbacks, 1);
+        assert.equal(impoliteConnection.rollbacks, 0);
+        assert.equal(politeConnection.signalingState, 'stable');
+        assert.equal(impoliteConnection.signalingState, 'stable');
+
+        // The polite peer's own offer still went through once the glare cleared
+        assert.equal(politeConnection.remoteDescription.type, 'answer');
+        assert.equal(impoliteConnection.localDescription.type, 'answer');
+        assert.equal(politeConnection.remoteDescription.sdp, `answer to ${politeConnection.localDescription.sdp}`);
+    });
+});
+
+describe('a participant leaving', () => {
+    test('closes their peer connection and only theirs', async () => {
+        const [alice, bob, carol] = await joinRoom(server, ['Alice', 'Bob', 'Carol'], { connected: true });
+        const carolId = carol.id;
+        const connection = alice.connection(carol);
+
+        carol.call.leave();
+        await settle();
+
+        assert.equal(connection.connectionState, 'closed');
+        assert.equal(alice.call.peers.has(carolId), false);
+        assert.equal(alice.call.monitor.peerConnections.has(carolId), false);
+        assert.deepEqual(alice.eventsOf('participant-left').map(left => [left.id, left.count]), [[carolId, 2]]);
+        assert.equal(alice.call.state, 'connected');
+        assert.equal(bob.call.peers.has(carolId), false);
+        assert.equal(carol.call.state, 'idle');
+        assert.equal(carol.call.peers.size, 0);
+    });
+
+    test('leaves the last one waiting', async () => {
+        const [alice, bob] = await joinRoom(server, ['Alice', 'Bob'], { connected: true });
+
+        bob.call.leave();
+        await settle();
+
+        assert.equal(alice.call.peers.size, 0);
+        assert.equal(alice.call.state, 'waiting');
+    });
+});
+
+describe('losing the socket', () => {
+    test('keeps the peer connections and catches up on resuming', async () => {
+        const [alice, bob] = await joinRoom(server, ['Alice', 'Bob'], { connected: true });
+        const aliceId = alice.id;
+        const connection = alice.connection(bob);
+
+        alice.link.cut();
+        await waitFor(() => bob.call.participants.get(aliceId).reconnecting, 'Bob to see Alice drop');
+
+        assert.equal(alice.eventsOf('disconnected').length, 1);
+        assert.equal(alice.call.state, 'connected');
+        assert.equal(alice.connection(bob), connection);
+
+        // Renegotiating while the socket is down: the offer waits for it
+        connection.restartIce();
+        await settle();
+        assert.equal(connection.signalingState, 'have-local-offer');
+        assert.equal(bob.connection(alice).signalingState, 'stable');
+
+        alice.link.restore();
+        await waitFor(() => bob.call.participants.get(aliceId).reconnecting === false, 'Alice to resume');
+        await settle();
+
+        assert.equal(alice.id, aliceId);
+        assert.deepEqual(alice.eventsOf('connected').at(-1), { selfId: aliceId, resumed: true, reconnected: true });
+        assert.equal(alice.connection(bob), connection);
+        assert.equal(connection.signalingState, 'stable');
+        assert.equal(connection.remoteDescription.type, 'answer');
+        assert.equal(bob.connection(alice).signalingState, 'stable');
+    });
+
+    test('starts over once the room has given up on us', async () => {
+        const [alice, bob] = await joinRoom(server, ['Alice', 'Bob'], { connected: true });
+        const oldId = alice.id;
+        const oldToken = alice.clientId;
+        const oldConnection = alice.connection(bob);
+
+        alice.link.cut();
+        await waitFor(() => !bob.call.peers.has(oldId), 'the room to give up on Alice');
+
+        alice.link.restore();
+        await waitFor(() => alice.eventsOf('connected').length === 2, 'Alice to reconnect');
+        await waitFor(() => bob.call.peers.has(alice.id), 'Alice to rejoin');
+        await settle();
+
+        // Same token, as nobody else holds it now, but a new participant
+        assert.equal(alice.clientId, oldToken);
+        assert.notEqual(alice.id, oldId);
+        assert.equal(alice.eventsOf('connected').at(-1).resumed, false);
+        assert.equal(oldConnection.connectionState, 'closed');
+        assert.notEqual(alice.connection(bob), oldConnection);
+        assert.equal(alice.connection(bob).signalingState, 'stable');
+        assert.equal(bob.connection(alice).signalingState, 'stable');
+        assert.equal(alice.call.state, 'connecting');
+    });
+
+    test('a Wi-Fi handoff takes the old socket over before the server notices it is gone', async () => {
+        const [alice, bob] = await joinRoom(server, ['Alice', 'Bob'], { connected: true });
+        const aliceId = alice.id;
+        const connection = alice.connection(bob);
+
+        alice.link.cut({ serverNotices: false });
+        alice.link.restore();
+        await waitFor(() => alice.eventsOf('connected').length === 2, 'Alice to reconnect');
+
+        assert.equal(alice.id, aliceId);
+        assert.equal(alice.eventsOf('connected').at(-1).resumed, true);
+        // The socket left behind was dropped without counting as Alice leaving
+        await settle();
+        assert.equal(bob.eventsOf('participant-updated').some(update => update.changes.reconnecting), false);
+
+        // Nor is anything left to expire
+        await delay(RECONNECT_GRACE_SECONDS * 1000 + 500);
+        assert.equal(bob.call.participants.has(aliceId), true);
+        assert.equal(alice.connection(bob), connection);
+        assert.equal(bob.eventsOf('participant-left').length, 0);
+    });
+});
+
+describe('ICE restarts', () => {
+    test('back off and bring a dropped connection back', async () => {
+        const [alice, bob] = await joinRoom(server, ['Alice', 'Bob'], { connected: true });
+        const connection = alice.connection(bob);
+
+        connection.setConnectionState('disconnected');
+        assert.equal(alice.call.state, 'reconnecting');
+        assert.equal(connection.iceRestarts, 0);
+
+        mock.timers.tick(2000);
+        await settle();
+        assert.equal(connection.iceRestarts, 1);
+        assert.equal(connection.signalingState, 'stable');
+
+        // Still down: the next attempt waits twice as long
+        mock.timers.tick(2000);
+        assert.equal(connection.iceRestarts, 1);
+        mock.timers.tick(2000);
+        assert.equal(connection.iceRestarts, 2);
+        await settle();
+
+        connection.setConnectionState('connected');
+        assert.equal(alice.call.state, 'connected');
+        assert.equal(alice.peer(bob).restartAttempts, 0);
+    });
+
+    test('give up after the last attempt', async () => {
+        const [alice, bob] = await joinRoom(server, ['Alice', 'Bob'], { connected: true });
+        const connection = alice.connection(bob);
+
+        connection.setConnectionState('failed');
+        for (let i = 0; i < 6; i++) {
+            mock.timers.tick(30000);
+            await settle();
+        }
+
+        assert.equal(connection.iceRestarts, 5);
+        assert.equal(alice.peer(bob).state, 'failed');
+        assert.equal(alice.call.state, 'failed');
+    });
+});
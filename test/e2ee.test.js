@@ -0,0 +1,209 @@
+// End-to-end encryption's key rotation: media keeps decrypting while a new
+// key makes its way round, even with someone joining half way through. The
+// page's MediaEncryption runs with its worker, both as they are, over data
+// channels the test can hold up.
+import { afterEach, beforeEach, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPageScript } from './harness.js';
+
+beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.timers.enable({ apis: ['setTimeout'] });
+});
+afterEach(() => {
+    mock.timers.reset();
+    mock.restoreAll();
+});
+
+// Whatever the page is still doing with a key it was sent. Sending one isn't
+// awaited where it starts, so a quiet spell with nothing pending is the end.
+const QUIET_MS = 20;
+const pending = new Set();
+let lastActivity = 0;
+const track = result => {
+    const promise = Promise.resolve(result);
+    pending.add(promise);
+    lastActivity = performance.now();
+    promise.finally(() => pending.delete(promise));
+};
+
+async function drain() {
+    lastActivity = Math.max(lastActivity, performance.now());
+    while (pending.size > 0 || performance.now() - lastActivity < QUIET_MS) {
+        await Promise.all(pending);
+        await new Promise(resolve => setImmediate(resolve));
+    }
+}
+
+// e2ee-worker.js in a context of its own, messages passed straight through
+class FakeWorker {
+    constructor(url) {
+        this.onmessage = null;
+        this.self = { postMessage: data => this.onmessage && this.onmessage({ data }) };
+        this.context = loadPageScript(`..${url}`, { self: this.self, crypto }).context;
+    }
+
+    postMessage(data) {
+        this.self.onmessage({ data });
+    }
+
+    terminate() {}
+}
+
+// One end of a key channel; hold() keeps what it sends until release()
+class FakeChannel {
+    constructor() {
+        this.readyState = 'connecting';
+        this.remote = null;
+        this.held = null;
+    }
+
+    send(data) {
+        if (this.held) {
+            this.held.push(data);
+        } else {
+            track(this.remote.onmessage({ data }));
+        }
+    }
+
+    hold() {
+        this.held = [];
+    }
+
+    release() {
+        const held = this.held;
+        this.held = null;
+        held.forEach(data => this.send(data));
+    }
+}
+
+const ROOM = 'e2ee-room';
+
+async function participant(id) {
+    const { window } = loadPageScript('../static/js/e2ee.js', {
+        Worker: FakeWorker,
+        crypto,
+        TextEncoder,
+        btoa,
+        atob,
+        setTimeout: (...args) => setTimeout(...args),
+        clearTimeout: (...args) => clearTimeout(...args)
+    });
+    const e2ee = new window.MediaEncryption({ getSelfId: () => id });
+    await e2ee.setPassphrase('correct horse', ROOM);
+    return { id, e2ee, channels: new Map() };
+}
+
+// The key channel between two participants, opened unless told otherwise
+function link(a, b, { open = true } = {}) {
+    const ab = new FakeChannel();
+    const ba = new FakeChannel();
+    ab.remote = ba;
+    ba.remote = ab;
+    a.channels.set(b.id, ab);
+    b.channels.set(a.id, ba);
+    a.e2ee.addPeer(b.id, { createDataChannel: () => ab });
+    b.e2ee.addPeer(a.id, { createDataChannel: () => ba });
+    if (open) {
+        openLink(a, b);
+    }
+}
+
+function openLink(a, b) {
+    [a.channels.get(b.id), b.channels.get(a.id)].forEach(channel => {
+        channel.readyState = 'open';
+        track(channel.onopen());
+    });
+}
+
+function leave(who, others) {
+    others.forEach(other => other.e2ee.removePeer(who.id));
+}
+
+// An audio frame through the sender's worker, and what the receiver's makes of it
+async function sendFrame(sender, text) {
+    const frames = [];
+    const frame = { type: 'audio', data: new TextEncoder().encode(text).buffer };
+    await sender.e2ee.worker.context.encryptFrame(frame, { enqueue: encrypted => frames.push(encrypted) });
+    return frames[0];
+}
+
+async function receiveFrame(receiver, frame, from) {
+    const frames = [];
+    const copy = { type: frame.type, data: frame.data.slice(0) };
+    await receiver.e2ee.worker.context.decryptFrame(copy, { enqueue: decrypted => frames.push(decrypted) }, from.id);
+    return frames.length > 0 ? new TextDecoder().decode(frames[0].data) : null;
+}
+
+async function assertHears(receiver, sender, text) {
+    assert.equal(await receiveFrame(receiver, await sendFrame(sender, text), sender), text,
+        `${receiver.id} should hear ${sender.id}`);
+}
+
+// How long a new key is given to reach everyone before it's used
+const SWITCH_MS = 1000;
+
+describe('key rotation', () => {
+    test('whoever left cannot follow the new key', async () => {
+        const [alice, bob, dave] = await Promise.all(['a', 'b', 'd'].map(participant));
+        link(alice, bob);
+        link(alice, dave);
+        link(bob, dave);
+        await drain();
+
+        leave(dave, [alice, bob]);
+        await alice.e2ee.rotateKey();
+        await drain();
+        mock.timers.tick(SWITCH_MS);
+
+        assert.equal(bob.e2ee.generation, 1);
+        await assertHears(bob, alice, 'hello');
+        assert.equal(await receiveFrame(dave, await sendFrame(alice, 'secret'), alice), null);
+    });
+
+    test('someone joining while a rotation goes round hears everyone throughout', async () => {
+        const [alice, bob, carol, dave] = await Promise.all(['a', 'b', 'c', 'd'].map(participant));
+        link(alice, bob);
+        link(alice, carol);
+        link(alice, dave);
+        link(bob, carol);
+        link(bob, dave);
+        link(carol, dave);
+        await drain();
+
+        // Dave leaves and everyone moves to generation 1
+        leave(dave, [alice, bob, carol]);
+        await alice.e2ee.rotateKey();
+        await drain();
+        mock.timers.tick(SWITCH_MS);
+
+        // Erin joins. Bob hands her generation 1, but that's slow to arrive.
+        const erin = await participant('e');
+        link(alice, erin);
+        link(bob, erin, { open: false });
+        link(carol, erin);
+        bob.channels.get(erin.id).hold();
+        openLink(bob, erin);
+        await drain();
+
+        // Meanwhile Carol leaves, and generation 2 reaches Erin first
+        leave(carol, [alice, bob, erin]);
+        await alice.e2ee.rotateKey();
+        await drain();
+        bob.channels.get(erin.id).release();
+        await drain();
+
+        // Erin stays on the newest key, but still has Bob's for what he sends until he switches
+        assert.equal(erin.e2ee.generation, 2);
+        assert.equal(bob.e2ee.generation, 2);
+        await assertHears(erin, bob, 'still on 1');
+        await assertHears(erin, alice, 'still on 1 too');
+        await assertHears(bob, erin, 'Erin on 0 until she switches');
+
+        mock.timers.tick(SWITCH_MS);
+        for (const [receiver, sender] of [[erin, bob], [erin, alice], [bob, erin], [alice, erin], [alice, bob]]) {
+            await assertHears(receiver, sender, 'all on 2');
+        }
+        assert.equal(await receiveFrame(carol, await sendFrame(alice, 'secret'), alice), null);
+    });
+});
@@ -0,0 +1,596 @@
+// Test harness
+// Several headless clients against the real signaling server. startServer()
+// runs main.py's app on a free port; each client is a real SDK Call on a real
+// Socket.IO client, connected through a NetworkLink the test can cut, and
+// every peer connection is a FakePeerConnection - Node has no WebRTC - whose
+// getStats() follows a scripted network profile.
+import { spawn } from 'node:child_process';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import net from 'node:net';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import vm from 'node:vm';
+import { io } from 'socket.io-client';
+import { Call } from '../static/js/sdk/index.js';
+
+// The diagnostics report reads the user agent, which Node 20 doesn't have
+globalThis.navigator ??= { userAgent: 'node' };
+
+// Tests mock the timers; waiting on the server takes real ones
+const realSetTimeout = globalThis.setTimeout;
+export const delay = ms => new Promise(resolve => realSetTimeout(resolve, ms));
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const SERVER_START_TIMEOUT_MS = 20000;
+const WAIT_TIMEOUT_MS = 5000;
+const QUIET_MS = 100; // no traffic for this long and the room has settled
+
+// What the test server is started with
+export const RECONNECT_GRACE_SECONDS = 1;
+export const TURN = { urls: 'turn:turn.test:3478', secret: 'test-secret' };
+
+// Scripted network conditions, per sample interval
+export const NETWORK_PROFILES = {
+    good: { loss: 0, rtt: 40, jitter: 5 },       // % lost, ms, ms
+    medium: { loss: 3, rtt: 200, jitter: 20 },
+    poor: { loss: 12, rtt: 450, jitter: 80 }
+};
+
+const PACKETS_PER_SAMPLE = 1000;
+const SAMPLE_INTERVAL = 2000; // how often NetworkQualityMonitor samples
+
+const nextTick = () => new Promise(resolve => setImmediate(resolve));
+
+// Let everything already queued on this side play out
+async function flush(rounds = 10) {
+    for (let i = 0; i < rounds; i++) {
+        await nextTick();
+    }
+}
+
+// Every message to or from the server counts as activity
+let lastActivity = 0;
+const active = () => {
+    lastActivity = performance.now();
+};
+
+// Wait until nothing has gone to or from the server for a while, so every
+// message, offer and answer has played out
+export async function settle() {
+    do {
+        await delay(QUIET_MS / 4);
+    } while (performance.now() - lastActivity < QUIET_MS);
+}
+
+export async function waitFor(condition, what = 'the condition') {
+    const deadline = performance.now() + WAIT_TIMEOUT_MS;
+    while (!condition()) {
+        if (performance.now() > deadline) {
+            throw new Error(`Timed out waiting for ${what}`);
+        }
+        await delay(10);
+    }
+}
+
+// The repo's venv was made on Windows, but its packages are pure Python, so
+// elsewhere any Python 3 can use them. PYTHON picks another interpreter.
+function pythonCommand() {
+    if (process.env.PYTHON) return process.env.PYTHON;
+    return process.platform === 'win32' ? path.join(ROOT, 'venv', 'Scripts', 'python.exe') : 'python3';
+}
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.once('error', reject);
+        probe.listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+// main.py, through test/serve.py, with TURN configured so credentials can be
+// checked. Its log is kept to explain a server that won't start.
+export async function startServer() {
+    const port = await freePort();
+    const sitePackages = path.join(ROOT, 'venv', 'Lib', 'site-packages');
+    const child = spawn(pythonCommand(), [path.join(ROOT, 'test', 'serve.py')], {
+        cwd: ROOT,
+        env: {
+            ...process.env,
+            PORT: String(port),
+            PYTHONPATH: [sitePackages, process.env.PYTHONPATH].filter(Boolean).join(path.delimiter),
+            PYTHONDONTWRITEBYTECODE: '1',
+            PYTHONUNBUFFERED: '1',
+            RECONNECT_GRACE_SECONDS: String(RECONNECT_GRACE_SECONDS),
+            TURN_URLS: TURN.urls,
+            TURN_SECRET: TURN.secret
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    const log = [];
+    const keep = chunk => {
+        log.push(...chunk.toString().split('\n'));
+        log.splice(0, log.length - 40);
+    };
+    child.stdout.on('data', keep);
+    child.stderr.on('data', keep);
+    const exited = new Promise(resolve => child.once('close', resolve));
+
+    const url = `http://127.0.0.1:${port}`;
+    const deadline = performance.now() + SERVER_START_TIMEOUT_MS;
+    for (;;) {
+        if (child.exitCode !== null || child.signalCode !== null) {
+            throw new Error(`The server exited:\n${log.join('\n')}`);
+        }
+        try {
+            if ((await fetch(`${url}/health`)).ok) break;
+        } catch (error) {
+            // Not listening yet
+        }
+        if (performance.now() > deadline) {
+            child.kill();
+            throw new Error(`The server didn't start:\n${log.join('\n')}`);
+        }
+        await delay(100);
+    }
+
+    return {
+        url,
+        port,
+        async stop() {
+            child.kill();
+            await exited;
+        }
+    };
+}
+
+// A client's network: a TCP proxy to the server that the test can cut
+export class NetworkLink {
+    constructor(port) {
+        this.port = port;
+        this.up = true;
+        this.connections = new Set(); // { local, remote }
+        this.stale = new Set(); // server ends left open by a cut the server didn't notice
+        this.proxy = net.createServer(local => this.accept(local));
+    }
+
+    async open() {
+        await new Promise(resolve => this.proxy.listen(0, '127.0.0.1', resolve));
+        return `http://127.0.0.1:${this.proxy.address().port}`;
+    }
+
+    accept(local) {
+        if (!this.up) {
+            local.destroy();
+            return;
+        }
+
+        const remote = net.connect(this.port, '127.0.0.1');
+        const connection = { local, remote };
+        this.connections.add(connection);
+        local.on('error', () => {});
+        remote.on('error', () => {});
+        local.pipe(remote);
+        remote.pipe(local);
+        local.on('close', () => {
+            this.connections.delete(connection);
+            if (!this.stale.has(remote)) {
+                remote.destroy();
+            }
+        });
+        remote.on('close', () => {
+            this.stale.delete(remote);
+            local.destroy();
+        });
+    }
+
+    // The network goes away until restore(). Normally the server sees the
+    // connection close; in a Wi-Fi handoff it doesn't, and still thinks the
+    // old socket is there.
+    cut({ serverNotices = true } = {}) {
+        this.up = false;
+        this.connections.forEach(({ local, remote }) => {
+            if (!serverNotices) {
+                // Read and thrown away, so the server closing it is seen
+                remote.unpipe(local);
+                remote.resume();
+                this.stale.add(remote);
+            }
+            local.destroy();
+        });
+    }
+
+    restore() {
+        this.up = true;
+    }
+
+    close() {
+        this.connections.forEach(({ local }) => local.destroy());
+        this.stale.forEach(remote => remote.destroy());
+        this.proxy.close();
+    }
+}
+
+// An RTCPeerConnection with real signaling states - enough for perfect
+// negotiation, glare and ICE restarts - and no media. The test decides when
+// it connects, and its getStats() follows setNetwork().
+export class FakePeerConnection extends EventTarget {
+    constructor(configuration) {
+        super();
+        this.configuration = configuration;
+        this.signalingState = 'stable';
+        this.connectionState = 'new';
+        this.localDescription = null;
+        this.remoteDescription = null;
+        this.transceivers = [];
+        this.candidates = [];
+        this.offers = 0;
+        this.rollbacks = 0;
+        this.iceRestarts = 0;
+        this.negotiationNeeded = null; // 'tracks' or 'restart', whatever still needs an offer
+        this.offering = null; // what the offer we're making is for
+        this.operations = 0; // descriptions being set
+        this.network = NETWORK_PROFILES.good;
+        this.counters = { timestamp: 0, packetsReceived: 0, packetsLost: 0, bytesReceived: 0, bytesSent: 0 };
+
+        this.onnegotiationneeded = null;
+        this.ontrack = null;
+        this.onicecandidate = null;
+        this.onconnectionstatechange = null;
+    }
+
+    addTrack(track, stream) {
+        const sender = {
+            track,
+            parameters: { encodings: [{ active: true }] },
+            getParameters() {
+                return structuredClone(this.parameters);
+            },
+            async setParameters(parameters) {
+                this.parameters = structuredClone(parameters);
+            }
+        };
+        // What we receive mirrors what we send, which is all adaptation looks at
+        this.transceivers.push({ sender, receiver: { track: { kind: track.kind } } });
+        this.needsNegotiation('tracks');
+        return sender;
+    }
+
+    getTransceivers() {
+        return this.transceivers;
+    }
+
+    get videoEncoding() {
+        const transceiver = this.transceivers.find(t => t.receiver.track.kind === 'video');
+        return transceiver && transceiver.sender.parameters.encodings[0];
+    }
+
+    // negotiationneeded only fires while nothing is being negotiated. New
+    // tracks ride on any offer, an ICE restart needs one of our own.
+    needsNegotiation(reason) {
+        this.negotiationNeeded = this.negotiationNeeded === 'restart' ? 'restart' : reason;
+        setImmediate(() => {
+            if (!this.negotiationNeeded || this.operations > 0 || this.signalingState !== 'stable') return;
+
+            this.offering = this.negotiationNeeded;
+            this.negotiationNeeded = null;
+            if (this.onnegotiationneeded) {
+                this.onnegotiationneeded();
+            }
+        });
+    }
+
+    // Back to stable, so anything that came up meanwhile gets its turn
+    negotiated() {
+        this.signalingState = 'stable';
+        this.offering = null;
+        if (this.negotiationNeeded) {
+            this.needsNegotiation(this.negotiationNeeded);
+        }
+    }
+
+    async setLocalDescription() {
+        this.operations++;
+        await nextTick();
+        this.operations--;
+
+        if (this.signalingState === 'have-remote-offer') {
+            // Our tracks go out with the answer
+            if (this.negotiationNeeded === 'tracks') {
+                this.negotiationNeeded = null;
+            }
+            this.localDescription = { type: 'answer', sdp: `answer to ${this.remoteDescription.sdp}` };
+            this.negotiated();
+        } else {
+            this.offers++;
+            this.localDescription = { type: 'offer', sdp: `offer ${this.offers}` };
+            this.signalingState = 'have-local-offer';
+        }
+    }
+
+    async setRemoteDescription(description) {
+        this.operations++;
+        await nextTick();
+        this.operations--;
+
+        if (description.type === 'offer') {
+            // Implicit rollback, how the polite peer gives way in a glare; what
+            // it was offering still needs negotiating afterwards
+            if (this.signalingState === 'have-local-offer') {
+                this.rollbacks++;
+                this.localDescription = null;
+                this.negotiationNeeded = this.negotiationNeeded || this.offering;
+            }
+            this.remoteDescription = description;
+            this.signalingState = 'have-remote-offer';
+        } else {
+            if (this.signalingState !== 'have-local-offer') {
+                throw new Error(`InvalidStateError: answer in state ${this.signalingState}`);
+            }
+            this.remoteDescription = description;
+            this.negotiated();
+        }
+    }
+
+    async addIceCandidate(candidate) {
+        if (!this.remoteDescription) {
+            throw new Error('InvalidStateError: no remote description');
+        }
+        this.candidates.push(candidate);
+    }
+
+    restartIce() {
+        this.iceRestarts++;
+        this.needsNegotiation('restart');
+    }
+
+    close() {
+        this.signalingState = 'closed';
+        this.connectionState = 'closed';
+    }
+
+    setConnectionState(state) {
+        this.connectionState = state;
+        this.dispatchEvent(new Event('connectionstatechange'));
+        if (this.onconnectionstatechange) {
+            this.onconnectionstatechange();
+        }
+    }
+
+    setNetwork(profile) {
+        this.network = profile;
+    }
+
+    // One sample interval under the current profile: RTP counters move on,
+    // the candidate pair reports the profile's round trip time
+    async getStats() {
+        const counters = this.counters;
+        const lost = Math.round(PACKETS_PER_SAMPLE * this.network.loss / 100);
+        counters.timestamp += SAMPLE_INTERVAL;
+        counters.packetsLost += lost;
+        counters.packetsReceived += PACKETS_PER_SAMPLE - lost;
+        counters.bytesReceived += (PACKETS_PER_SAMPLE - lost) * 1000;
+        counters.bytesSent += PACKETS_PER_SAMPLE * 1000;
+
+        return new Map([
+            ['inbound-video', {
+                id: 'inbound-video',
+                type: 'inbound-rtp',
+                kind: 'video',
+                timestamp: counters.timestamp,
+                packetsLost: counters.packetsLost,
+                packetsReceived: counters.packetsReceived,
+                bytesReceived: counters.bytesReceived,
+                jitter: this.network.jitter / 1000
+            }],
+            ['outbound-video', {
+                id: 'outbound-video',
+                type: 'outbound-rtp',
+                kind: 'video',
+                timestamp: counters.timestamp,
+                bytesSent: counters.bytesSent
+            }],
+            ['pair', {
+                id: 'pair',
+                type: 'candidate-pair',
+                state: 'succeeded',
+                nominated: true,
+                currentRoundTripTime: this.network.rtt / 1000
+            }]
+        ]);
+    }
+}
+
+// A local stream with one audio and one video track
+export function fakeStream() {
+    const tracks = [{ kind: 'audio', enabled: true }, { kind: 'video', enabled: true }];
+    return { getTracks: () => tracks };
+}
+
+// Every client a test made, to disconnect afterwards
+const clients = new Set();
+
+// One participant: a Call on its own socket, recording every event it
+// dispatches and everything its socket sends. It keeps its token and resume
+// key the way main.js does; give another client's clientId to be a reloaded
+// or duplicated tab of it.
+export class TestClient {
+    constructor(server, { username, clientId = crypto.randomUUID(), PeerConnection = FakePeerConnection } = {}) {
+        this.server = server;
+        this.username = username;
+        this.clientId = clientId;
+        this.PeerConnection = PeerConnection;
+        this.link = new NetworkLink(server.port);
+        this.stream = fakeStream();
+        this.socket = null;
+        this.call = null;
+        this.events = [];
+        this.emitted = []; // { event, data } for everything sent
+        this.received = []; // { event, data } for everything the server sent
+        clients.add(this);
+    }
+
+    async connect() {
+        this.socket = io(await this.link.open(), {
+            auth: { clientId: this.clientId },
+            transports: ['websocket'],
+            forceNew: true,
+            useNativeTimers: true,
+            reconnectionDelay: 20,
+            reconnectionDelayMax: 100,
+            randomizationFactor: 0
+        });
+        this.socket.onAny((event, data) => {
+            active();
+            this.received.push({ event, data });
+        });
+        this.socket.onAnyOutgoing((event, data) => {
+            active();
+            this.emitted.push({ event, data });
+        });
+        this.socket.on('connected', (data) => {
+            if (data.client_id) {
+                this.clientId = this.socket.auth.clientId = data.client_id;
+            }
+            this.socket.auth.resumeKey = data.resume_key;
+        });
+
+        this.call = new Call({
+            socket: this.socket,
+            getLocalStream: () => this.stream,
+            PeerConnection: this.PeerConnection
+        });
+        ['state-changed', 'connected', 'disconnected', 'participant-joined', 'participant-left', 'participant-updated',
+            'peer-added', 'peer-removed', 'quality-sample', 'quality-changed', 'adaptation', 'transcript', 'status']
+            .forEach(type => this.call.addEventListener(type, ({ detail }) => this.events.push({ type, detail })));
+
+        await waitFor(() => this.eventsOf('connected').length > 0, `${this.username} to connect`);
+        return this;
+    }
+
+    get id() {
+        return this.call.selfId;
+    }
+
+    // The page's join: in the call first, then into the room
+    join(room, options = {}) {
+        this.call.start();
+        this.call.join({ room, username: this.username, ...options });
+    }
+
+    // Closes the tab, leaving the call first unless told not to. Either way
+    // nothing of the call keeps running.
+    close({ leave = true } = {}) {
+        if (this.call) {
+            if (leave) {
+                this.call.leave();
+            } else if (this.call.monitor) {
+                this.call.monitor.stopMonitoring();
+            }
+            this.socket.disconnect();
+        }
+        this.link.close();
+        clients.delete(this);
+    }
+
+    // The tab reloads: the page goes without leaving, and the new one has the
+    // token but not the resume key
+    reload() {
+        this.close({ leave: false });
+        return new TestClient(this.server, { username: this.username, clientId: this.clientId }).connect();
+    }
+
+    peer(other) {
+        return this.call.peers.get(other.id);
+    }
+
+    connection(other) {
+        const peer = this.peer(other);
+        return peer && peer.connection;
+    }
+
+    eventsOf(type) {
+        return this.events.filter(event => event.type === type).map(event => event.detail);
+    }
+
+    sent(event) {
+        return this.emitted.filter(message => message.event === event).map(message => message.data);
+    }
+
+    receivedOf(event) {
+        return this.received.filter(message => message.event === event).map(message => message.data);
+    }
+
+    // An ack'ed request to the server
+    request(event, data = {}) {
+        return new Promise(resolve => this.socket.emit(event, data, resolve));
+    }
+}
+
+export function closeClients() {
+    clients.forEach(client => client.close());
+}
+
+// Each test gets rooms of its own on the shared server
+let rooms = 0;
+export const newRoom = () => `room-${++rooms}`;
+
+// Clients connected and joined to one room, their peer connections
+// negotiated. Pass connected: true to also bring every connection up.
+export async function joinRoom(server, usernames, { room = newRoom(), connected = false } = {}) {
+    const joined = [];
+    for (const username of usernames) {
+        const client = await new TestClient(server, { username }).connect();
+        client.join(room);
+        await waitFor(() => client.call.participants.has(client.id), `${username} to join`);
+        await settle();
+        joined.push(client);
+    }
+
+    if (connected) {
+        joined.forEach(client => client.call.peers.forEach(peer => peer.connection.setConnectionState('connected')));
+    }
+    return joined;
+}
+
+// NetworkQualityMonitor samples every two seconds; with mocked timers this
+// runs that many samples and waits for their stats to be worked through
+export async function sampleNetwork(timers, samples = 1) {
+    for (let i = 0; i < samples; i++) {
+        timers.tick(SAMPLE_INTERVAL);
+        await flush();
+    }
+}
+
+// A classic page script, run against a stub document whose elements are
+// plain objects, so its DOM output can be read back. `globals` are what the
+// script finds on window and as globals, beyond those.
+export function loadPageScript(path, globals = {}) {
+    const elements = new Map();
+    const document = {
+        getElementById(id) {
+            if (!elements.has(id)) {
+                elements.set(id, {
+                    id,
+                    textContent: '',
+                    className: '',
+                    scrollTop: 0,
+                    scrollHeight: 0,
+                    options: [],
+                    add(option) {
+                        this.options.push(option);
+                    }
+                });
+            }
+            return elements.get(id);
+        }
+    };
+    const window = { ...globals };
+    const context = vm.createContext({ ...globals, window, document, console });
+    vm.runInContext(fs.readFileSync(new URL(path, import.meta.url), 'utf8'), context);
+    return { window, document, context };
+}
@@ -0,0 +1,210 @@
+// Network quality under scripted conditions: classification, recommendations,
+// video adaptation, low data mode's cap and what the network log shows
+import { after, afterEach, before, beforeEach, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_QUALITY_POLICY } from '../static/js/sdk/index.js';
+import { NETWORK_PROFILES, closeClients, joinRoom, loadPageScript, sampleNetwork, settle, startServer } from './harness.js';
+
+let server;
+before(async () => {
+    server = await startServer();
+});
+after(() => server.stop());
+
+beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.timers.enable({ apis: ['setInterval', 'setTimeout'] });
+});
+afterEach(() => {
+    closeClients();
+    mock.timers.reset();
+    mock.restoreAll();
+});
+
+const { recommendations } = DEFAULT_QUALITY_POLICY;
+
+// Alice and Bob in a call, with Alice's link to Bob under test
+async function twoPartyCall() {
+    const [alice, bob] = await joinRoom(server, ['Alice', 'Bob'], { connected: true });
+    return { alice, bob, link: alice.connection(bob) };
+}
+
+const levels = client => client.eventsOf('quality-sample').map(sample => sample.level);
+const adaptations = client => client.eventsOf('adaptation').map(({ previous, step }) => `${previous}->${step.name}`);
+
+describe('quality levels', () => {
+    test('a good link stays good and video is left alone', async () => {
+        const { alice, link } = await twoPartyCall();
+
+        await sampleNetwork(mock.timers, 3);
+
+        assert.deepEqual(levels(alice), ['good', 'good', 'good']);
+        assert.deepEqual(alice.eventsOf('quality-changed'), [
+            { quality: 'good', previous: null, recommendation: recommendations.good }
+        ]);
+        assert.deepEqual(adaptations(alice), []);
+        assert.deepEqual(link.videoEncoding, { active: true });
+    });
+
+    test('every sample carries its recommendation and is reported to the server', async () => {
+        const { alice, bob } = await twoPartyCall();
+        alice.connection(bob).setNetwork(NETWORK_PROFILES.medium);
+
+        await sampleNetwork(mock.timers, 4);
+
+        alice.eventsOf('quality-sample').forEach(sample => {
+            assert.equal(sample.peerId, bob.id);
+            assert.equal(sample.recommendation, recommendations[sample.level]);
+        });
+        assert.equal(levels(alice).at(-1), 'medium');
+        assert.deepEqual(alice.sent('network_stats').map(stats => stats.level), levels(alice));
+    });
+
+    test('a degrading link goes through medium to poor, then audio-only', async () => {
+        const { alice, bob, link } = await twoPartyCall();
+        await sampleNetwork(mock.timers, 2);
+
+        link.setNetwork(NETWORK_PROFILES.poor);
+        await sampleNetwork(mock.timers, 4);
+
+        // Smoothing takes a sample to catch up with the loss
+        assert.deepEqual(levels(alice), ['good', 'good', 'medium', 'poor', 'poor', 'poor']);
+        assert.deepEqual(alice.eventsOf('quality-changed').map(change => [change.quality, change.recommendation]), [
+            ['good', recommendations.good],
+            ['medium', recommendations.medium],
+            ['poor', recommendations.poor]
+        ]);
+        assert.deepEqual(adaptations(alice), ['good->medium', 'medium->poor', 'poor->audio-only']);
+        assert.equal(link.videoEncoding.active, false);
+
+        // The room hears about it too
+        await settle();
+        assert.equal(bob.call.participants.get(alice.id).quality, 'poor');
+    });
+
+    test('recovery climbs back one step at a time', async () => {
+        const { alice, link } = await twoPartyCall();
+        link.setNetwork(NETWORK_PROFILES.poor);
+        await sampleNetwork(mock.timers, 4);
+        assert.equal(adaptations(alice).at(-1), 'poor->audio-only');
+
+        link.setNetwork(NETWORK_PROFILES.good);
+        await sampleNetwork(mock.timers, 30);
+
+        assert.deepEqual(adaptations(alice).slice(-3), ['audio-only->poor', 'poor->medium', 'medium->good']);
+        assert.deepEqual(link.videoEncoding, {
+            active: true,
+            maxBitrate: 1500000,
+            scaleResolutionDownBy: 1,
+            maxFramerate: 30
+        });
+        assert.equal(alice.call.quality, 'good');
+    });
+
+    test('a brief improvement while audio-only does not bring video back', async () => {
+        const { alice, link } = await twoPartyCall();
+        link.setNetwork(NETWORK_PROFILES.poor);
+        await sampleNetwork(mock.timers, 12);
+
+        // Smoothing holds it at poor for a few samples; stop at the first better one
+        link.setNetwork(NETWORK_PROFILES.good);
+        while (levels(alice).at(-1) === 'poor') {
+            await sampleNetwork(mock.timers, 1);
+        }
+
+        assert.equal(levels(alice).at(-1), 'medium');
+        assert.equal(adaptations(alice).at(-1), 'poor->audio-only');
+        assert.equal(link.videoEncoding.active, false);
+    });
+
+    test('the call reports its worst link', async () => {
+        const [alice, bob, carol] = await joinRoom(server, ['Alice', 'Bob', 'Carol'], { connected: true });
+        alice.connection(carol).setNetwork(NETWORK_PROFILES.poor);
+
+        await sampleNetwork(mock.timers, 4);
+
+        // With nothing to smooth against, the first sample is poor outright
+        assert.equal(alice.call.quality, 'poor');
+        assert.deepEqual(adaptations(alice), ['good->poor', 'poor->audio-only']);
+        assert.equal(alice.connection(bob).videoEncoding.active, true);
+
+        // Once the poor link is gone, the call is only as bad as what's left
+        carol.call.leave();
+        await settle();
+        await sampleNetwork(mock.timers, 1);
+        assert.equal(alice.call.quality, 'good');
+    });
+});
+
+describe('low data mode', () => {
+    test('caps every step of the ladder', async () => {
+        const { alice, link } = await twoPartyCall();
+        alice.call.setVideoLimit({ maxBitrate: 200000, scaleResolutionDownBy: 2, maxFramerate: 15 });
+        link.setNetwork(NETWORK_PROFILES.medium);
+
+        await sampleNetwork(mock.timers, 4);
+
+        assert.equal(adaptations(alice)[0], 'good->medium');
+        assert.deepEqual(link.videoEncoding, {
+            active: true,
+            maxBitrate: 200000,
+            scaleResolutionDownBy: 2,
+            maxFramerate: 15
+        });
+    });
+});
+
+describe('network log', () => {
+    // Wired up the way main.js does it
+    function networkPanel(client) {
+        const { window, document } = loadPageScript('../static/js/network-panel.js');
+        const announcements = [];
+        const panel = new window.NetworkPanel({ onAnnounce: message => announcements.push(message) });
+        client.call.addEventListener('quality-sample', ({ detail }) => panel.showSample(detail));
+        client.call.addEventListener('quality-changed', ({ detail }) => panel.announceQuality(detail.quality, detail.recommendation));
+        client.call.addEventListener('adaptation', ({ detail }) => panel.logAdaptation(detail.id, detail.previous, detail.step));
+        return { document, announcements };
+    }
+
+    test('shows each sample, adaptation and quality change', async () => {
+        const { alice, bob, link } = await twoPartyCall();
+        const { document, announcements } = networkPanel(alice);
+        await sampleNetwork(mock.timers, 2);
+        link.setNetwork(NETWORK_PROFILES.poor);
+
+        await sampleNetwork(mock.timers, 4);
+
+        const entries = document.getElementById('networkLog').textContent
+            .trim()
+            .split('\n')
+            .map(line => line.replace(/^\[[^\]]+\] /, '')); // timestamps vary
+        assert.deepEqual(entries, [
+            'Quality: GOOD | Packet Loss: 0.0% | RTT: 40ms',
+            'Quality: GOOD | Packet Loss: 0.0% | RTT: 40ms',
+            'Quality: MEDIUM | Packet Loss: 4.0% | RTT: 177ms | Worst: video',
+            `Adaptation (${bob.id}): GOOD -> MEDIUM | 500kbps, 1/2 resolution, 20fps`,
+            'Quality: POOR | Packet Loss: 6.7% | RTT: 268ms | Worst: video',
+            `Adaptation (${bob.id}): MEDIUM -> POOR | 150kbps, 1/4 resolution, 10fps`,
+            'Quality: POOR | Packet Loss: 8.4% | RTT: 329ms | Worst: video',
+            'Quality: POOR | Packet Loss: 9.6% | RTT: 369ms | Worst: video',
+            `Adaptation (${bob.id}): POOR -> AUDIO-ONLY | video paused`
+        ]);
+
+        assert.equal(document.getElementById('qualityText').textContent, `Poor Connection - ${recommendations.poor}`);
+        assert.equal(document.getElementById('networkStatus').className, 'network-status quality-poor');
+        assert.deepEqual(announcements, [
+            `Good Connection. ${recommendations.good}`,
+            `Moderate Connection. ${recommendations.medium}`,
+            `Poor Connection. ${recommendations.poor}`
+        ]);
+    });
+
+    test('keeps only the latest lines', async () => {
+        const { alice } = await twoPartyCall();
+        const { document } = networkPanel(alice);
+
+        await sampleNetwork(mock.timers, 60);
+
+        assert.ok(document.getElementById('networkLog').textContent.split('\n').length <= 50);
+    });
+});
@@ -0,0 +1,13 @@
+# Serves main.py's app for the test harness, on the port it is given and with
+# a short reconnect grace period, so giving up on a participant takes moments
+import os
+import sys
+
+sys.path.insert(0, os.path.join(os.path.dirname(os.path.abspath(__file__)), '..'))
+import main
+
+main.RECONNECT_GRACE_SECONDS = float(os.environ.get('RECONNECT_GRACE_SECONDS', main.RECONNECT_GRACE_SECONDS))
+
+# Without eventlet this is Werkzeug, which won't start without a terminal
+# unless told that's fine
+main.socketio.run(main.app, host='127.0.0.1', port=int(os.environ['PORT']), allow_unsafe_werkzeug=True)
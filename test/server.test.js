@@ -0,0 +1,288 @@
+// What the signaling server decides: who a token reconnects as, who gets into
+// a room, who is given TURN credentials, and which transcript segments and
+// shared file details it keeps
+import { after, afterEach, before, beforeEach, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import { TURN, TestClient, closeClients, joinRoom, newRoom, settle, startServer, waitFor } from './harness.js';
+
+let server;
+before(async () => {
+    server = await startServer();
+});
+after(() => server.stop());
+
+beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.timers.enable({ apis: ['setInterval', 'setTimeout'] });
+});
+afterEach(() => {
+    closeClients();
+    mock.timers.reset();
+    mock.restoreAll();
+});
+
+// What RoomAccess sends for the host's buttons
+const hostAction = (host, event, data) => host.socket.emit(event, { room: host.call.room, ...data });
+
+const turnServer = config => config.iceServers.find(server => [].concat(server.urls).some(url => url.startsWith('turn')));
+
+async function waitInLobby(client, room) {
+    client.join(room);
+    await waitFor(() => client.call.state === 'lobby', `${client.username} to wait in the lobby`);
+    await settle();
+    return client;
+}
+
+async function joinLobby(server, username, room) {
+    return waitInLobby(await new TestClient(server, { username }).connect(), room);
+}
+
+describe('reconnecting', () => {
+    test('a duplicated tab becomes a participant of its own, with a token of its own', async () => {
+        const [alice, bob] = await joinRoom(server, ['Alice', 'Bob']);
+
+        const copy = await new TestClient(server, { username: 'Alice', clientId: alice.clientId }).connect();
+
+        assert.notEqual(copy.id, alice.id);
+        assert.notEqual(copy.clientId, alice.clientId);
+        assert.equal(copy.eventsOf('connected')[0].resumed, false);
+
+        // The original is still who it was
+        await settle();
+        assert.equal(bob.call.participants.get(alice.id).reconnecting, false);
+        copy.join(alice.call.room);
+        await waitFor(() => bob.call.participants.has(copy.id), 'the copy to join');
+        assert.equal(bob.call.participants.size, 3);
+    });
+
+    test('a reloaded page takes its place in the room back', async () => {
+        const [alice, bob] = await joinRoom(server, ['Alice', 'Bob'], { connected: true });
+        const room = alice.call.room;
+
+        const reloaded = await alice.reload();
+        await waitFor(() => bob.call.participants.get(alice.id).reconnecting, 'Bob to see Alice drop');
+
+        assert.equal(reloaded.id, alice.id);
+        assert.equal(reloaded.clientId, alice.clientId);
+        assert.equal(reloaded.eventsOf('connected')[0].resumed, true);
+
+        reloaded.join(room);
+        await waitFor(() => bob.call.participants.get(alice.id).reconnecting === false, 'Alice to rejoin');
+        await settle();
+
+        assert.equal(bob.eventsOf('participant-left').length, 0);
+        assert.equal(reloaded.connection(bob).signalingState, 'stable');
+        assert.equal(bob.connection(reloaded).signalingState, 'stable');
+    });
+});
+
+describe('the lobby', () => {
+    test('holds joiners until the host lets them in', async () => {
+        const room = newRoom();
+        const host = await new TestClient(server, { username: 'Host' }).connect();
+        host.join(room, { lobby: true });
+        await waitFor(() => host.call.participants.has(host.id), 'the host to open the room');
+
+        const bob = await joinLobby(server, 'Bob', room);
+
+        assert.deepEqual(host.receivedOf('lobby_update').at(-1).waiting, [{ sid: bob.id, username: 'Bob' }]);
+        assert.equal(host.call.participants.has(bob.id), false);
+        assert.equal(host.call.peers.size, 0);
+
+        hostAction(host, 'admit_participant', { sid: bob.id });
+        await waitFor(() => host.call.participants.has(bob.id), 'Bob to be let in');
+        await settle();
+
+        assert.equal(bob.receivedOf('join_admitted').length, 1);
+        assert.deepEqual(host.receivedOf('lobby_update').at(-1).waiting, []);
+        assert.equal(bob.connection(host).signalingState, 'stable');
+        assert.equal(host.connection(bob).signalingState, 'stable');
+    });
+
+    test('only the host can let anyone in', async () => {
+        const room = newRoom();
+        const host = await new TestClient(server, { username: 'Host' }).connect();
+        host.join(room, { lobby: true });
+        await waitFor(() => host.call.participants.has(host.id), 'the host to open the room');
+        const bob = await joinLobby(server, 'Bob', room);
+        const mallory = await joinLobby(server, 'Mallory', room);
+
+        mallory.socket.emit('admit_participant', { room, sid: mallory.id });
+        mallory.socket.emit('admit_participant', { room, sid: bob.id });
+        await settle();
+
+        assert.equal(host.call.participants.size, 1);
+        assert.equal(bob.call.state, 'lobby');
+        assert.equal(mallory.call.state, 'lobby');
+    });
+
+    test('turns away whoever the host rejects', async () => {
+        const room = newRoom();
+        const host = await new TestClient(server, { username: 'Host' }).connect();
+        host.join(room, { lobby: true });
+        await waitFor(() => host.call.participants.has(host.id), 'the host to open the room');
+        const bob = await joinLobby(server, 'Bob', room);
+
+        hostAction(host, 'reject_participant', { sid: bob.id });
+        await settle();
+
+        assert.deepEqual(bob.receivedOf('join_rejected'), [{ room, reason: 'rejected' }]);
+        assert.deepEqual(host.receivedOf('lobby_update').at(-1).waiting, []);
+        assert.equal(host.call.participants.has(bob.id), false);
+    });
+});
+
+describe('room access', () => {
+    test('a room with a password opens only with it', async () => {
+        const room = newRoom();
+        const host = await new TestClient(server, { username: 'Host' }).connect();
+        host.join(room, { password: 'open sesame' });
+        await waitFor(() => host.call.participants.has(host.id), 'the host to open the room');
+
+        const bob = await new TestClient(server, { username: 'Bob' }).connect();
+        bob.join(room, { password: 'wrong' });
+        await settle();
+        assert.deepEqual(bob.receivedOf('join_rejected'), [{ room, reason: 'password' }]);
+        assert.equal(host.call.participants.has(bob.id), false);
+
+        bob.join(room, { password: 'open sesame' });
+        await waitFor(() => host.call.participants.has(bob.id), 'Bob to get in');
+    });
+
+    test('nobody new gets into a locked room', async () => {
+        const [host, bob] = await joinRoom(server, ['Host', 'Bob']);
+        const room = host.call.room;
+
+        hostAction(host, 'room_settings', { locked: true });
+        await settle();
+        const carol = await new TestClient(server, { username: 'Carol' }).connect();
+        carol.join(room);
+        await settle();
+
+        assert.deepEqual(carol.receivedOf('join_rejected'), [{ room, reason: 'locked' }]);
+        assert.equal(bob.call.participants.has(carol.id), false);
+        assert.equal(bob.call.participants.size, 2);
+    });
+
+    test('a removed participant only comes back through the lobby, even from a reloaded page', async () => {
+        const [host, bob] = await joinRoom(server, ['Host', 'Bob'], { connected: true });
+        const room = host.call.room;
+
+        hostAction(host, 'remove_participant', { sid: bob.id });
+        await waitFor(() => !host.call.participants.has(bob.id), 'Bob to be removed');
+        assert.equal(bob.receivedOf('removed').length, 1);
+        assert.equal(host.call.peers.has(bob.id), false);
+
+        // The page ends the call, as main.js does
+        bob.call.leave();
+        await waitInLobby(bob, room);
+
+        const reloaded = await bob.reload();
+        await waitInLobby(reloaded, room);
+        assert.deepEqual(host.receivedOf('lobby_update').at(-1).waiting, [{ sid: reloaded.id, username: 'Bob' }]);
+
+        // Once let back in, that's forgiven
+        hostAction(host, 'admit_participant', { sid: reloaded.id });
+        await waitFor(() => host.call.participants.has(reloaded.id), 'Bob to be let back in');
+        reloaded.call.leave();
+        await waitFor(() => !host.call.participants.has(reloaded.id), 'Bob to leave');
+        reloaded.join(room);
+        await waitFor(() => host.call.participants.has(reloaded.id), 'Bob to come straight back');
+        assert.equal(reloaded.receivedOf('lobby_waiting').length, 1);
+    });
+});
+
+describe('ICE servers', () => {
+    test('TURN credentials only go to admitted participants', async () => {
+        const room = newRoom();
+        const stranger = await new TestClient(server, { username: 'Stranger' }).connect();
+        assert.equal(turnServer(await stranger.request('ice_servers')), undefined);
+
+        const host = await new TestClient(server, { username: 'Host' }).connect();
+        host.join(room, { lobby: true });
+        await waitFor(() => host.call.participants.has(host.id), 'the host to open the room');
+        const bob = await joinLobby(server, 'Bob', room);
+
+        const inLobby = await bob.request('ice_servers');
+        assert.ok(inLobby.iceServers.length > 0);
+        assert.equal(turnServer(inLobby), undefined);
+
+        hostAction(host, 'admit_participant', { sid: bob.id });
+        await waitFor(() => host.call.participants.has(bob.id), 'Bob to be let in');
+        await settle();
+
+        // Asked for once Bob is in, for the connection he makes to the host
+        const turn = turnServer(bob.connection(host).configuration);
+        assert.deepEqual(turn.urls, [TURN.urls]);
+        const [expires, user] = turn.username.split(':');
+        assert.equal(user, bob.id);
+        assert.ok(Number(expires) > Date.now() / 1000);
+        assert.equal(turn.credential, crypto.createHmac('sha1', TURN.secret).update(turn.username).digest('base64'));
+    });
+});
+
+describe('transcripts', () => {
+    test('each segment is kept once, in order, and only with a whole-number seq', async () => {
+        const [alice, bob] = await joinRoom(server, ['Alice', 'Bob']);
+        const room = alice.call.room;
+        const say = (text, seq) => alice.socket.emit('audio_transcript', { room, text, seq });
+
+        say('hello', 1);
+        say('hello', 1);
+        say('no number', undefined);
+        say('a flag', true);
+        say('a fraction', 1.5);
+        say('a string', '2');
+        say('again', 2);
+        say('late', 1);
+        await settle();
+
+        assert.deepEqual(bob.eventsOf('transcript').map(entry => [entry.text, entry.seq, entry.id]), [
+            ['hello', 1, alice.id],
+            ['again', 2, alice.id]
+        ]);
+    });
+
+    test('a reloaded page numbers its segments from 1 again', async () => {
+        const [alice, bob] = await joinRoom(server, ['Alice', 'Bob']);
+        const room = alice.call.room;
+        alice.socket.emit('audio_transcript', { room, text: 'before', seq: 5 });
+        await settle();
+
+        const reloaded = await alice.reload();
+        reloaded.join(room);
+        await waitFor(() => bob.call.participants.get(alice.id).reconnecting === false, 'Alice to rejoin');
+        reloaded.socket.emit('audio_transcript', { room, text: 'after', seq: 1 });
+        await settle();
+
+        assert.deepEqual(bob.eventsOf('transcript').map(entry => entry.text), ['before', 'after']);
+    });
+});
+
+describe('shared files', () => {
+    test('only sensible file details are kept and relayed', async () => {
+        const [alice, bob] = await joinRoom(server, ['Alice', 'Bob']);
+        const room = alice.call.room;
+        const share = (id, file) => alice.socket.emit('chat_message', { room, message: { id, file }, delivered: [] });
+
+        share('fine', { name: 'notes.txt', size: 1024, type: 'text/plain' });
+        share('empty', { name: 'empty.txt', size: 0, type: '' });
+        share('no name', { name: '  ', size: 10, type: 'text/plain' });
+        share('long name', { name: `${'a'.repeat(256)}.txt`, size: 10, type: 'text/plain' });
+        share('long type', { name: 'odd.bin', size: 10, type: 'x'.repeat(101) });
+        share('too big', { name: 'huge.bin', size: 2 * 1024 * 1024 + 1, type: '' });
+        share('negative', { name: 'neg.bin', size: -1, type: '' });
+        share('string size', { name: 'str.bin', size: '10', type: '' });
+        share('flag size', { name: 'flag.bin', size: true, type: '' });
+        share('fraction', { name: 'half.bin', size: 10.5, type: '' });
+        await settle();
+
+        const relayed = bob.receivedOf('chat_message').map(({ message }) => message);
+        assert.deepEqual(relayed.map(message => message.id), ['fine', 'empty']);
+        assert.deepEqual(relayed[0].file, { name: 'notes.txt', size: 1024, type: 'text/plain' });
+        assert.equal(relayed[0].sid, alice.id);
+        assert.equal(relayed[0].username, 'Alice');
+    });
+});
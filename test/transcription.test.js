@@ -0,0 +1,122 @@
+// Live transcription: what Alice says reaches Bob through the server, and
+// nothing said while she's muted does
+import { after, afterEach, before, beforeEach, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { closeClients, joinRoom, loadPageScript, settle, startServer } from './harness.js';
+
+let server;
+before(async () => {
+    server = await startServer();
+});
+after(() => server.stop());
+
+beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.timers.enable({ apis: ['setInterval', 'setTimeout'] });
+});
+afterEach(() => {
+    closeClients();
+    mock.timers.reset();
+    mock.restoreAll();
+});
+
+// The browser's speech recognition, driven by the test: hear() is a result
+// coming in, end() recognition stopping
+class FakeRecognition {
+    constructor() {
+        this.listening = false;
+        this.aborted = 0;
+        FakeRecognition.last = this;
+    }
+
+    start() {
+        this.listening = true;
+    }
+
+    stop() {
+        this.listening = false;
+    }
+
+    abort() {
+        this.listening = false;
+        this.aborted++;
+    }
+
+    end() {
+        this.onend();
+    }
+
+    hear(transcript, isFinal = true) {
+        const result = [{ transcript }];
+        result.isFinal = isFinal;
+        this.onresult({ resultIndex: 0, results: [result] });
+    }
+}
+
+// Wired up the way main.js does it
+function transcription(client) {
+    const { window } = loadPageScript('../static/js/transcription.js', {
+        SpeechRecognition: FakeRecognition,
+        Option: class {
+            constructor(text, value) {
+                this.text = text;
+                this.value = value;
+            }
+        },
+        localStorage: { getItem: () => null, setItem: () => {} },
+        navigator: { language: 'en-US' }
+    });
+    const controller = new window.TranscriptionController(client.socket, {
+        getRoom: () => client.call.room,
+        getUsername: () => client.username,
+        getSelfId: () => client.id
+    });
+    controller.start();
+    return { controller, recognition: FakeRecognition.last };
+}
+
+const heard = client => client.eventsOf('transcript').map(entry => [entry.text, entry.seq]);
+
+describe('muting', () => {
+    test('keeps what is said from the room until unmuted', async () => {
+        const [alice, bob] = await joinRoom(server, ['Alice', 'Bob']);
+        const { controller, recognition } = transcription(alice);
+
+        recognition.hear('hello');
+        await settle();
+        assert.deepEqual(heard(bob), [['hello', 1]]);
+
+        // A result still being worked on when the mute lands is thrown away
+        recognition.hear('half a', false);
+        controller.setMuted(true);
+        assert.equal(recognition.aborted, 1);
+        recognition.hear('half a secret');
+        recognition.end();
+        assert.equal(recognition.listening, false);
+
+        controller.setMuted(false);
+        assert.equal(recognition.listening, true);
+        recognition.hear('back again');
+        await settle();
+
+        assert.deepEqual(heard(bob), [['hello', 1], ['back again', 2]]);
+        assert.deepEqual(alice.sent('audio_transcript').map(segment => segment.text), ['hello', 'back again']);
+    });
+
+    test('starting while muted waits for the unmute', async () => {
+        const [alice, bob] = await joinRoom(server, ['Alice', 'Bob']);
+        const { controller, recognition } = transcription(alice);
+        controller.stop();
+
+        controller.setMuted(true);
+        controller.start();
+        const restarted = FakeRecognition.last;
+        assert.notEqual(restarted, recognition);
+        assert.equal(restarted.listening, false);
+
+        controller.setMuted(false);
+        restarted.hear('now');
+        await settle();
+        assert.deepEqual(heard(bob), [['now', 1]]);
+    });
+});